@@ -1,12 +1,19 @@
 export { default as Client } from './src/types/Client';
 export { default as Expr } from './src/types/Expr';
 export { default as PageHelper } from './src/types/PageHelper';
+export { default as Session } from './src/types/Session';
 export { default as RequestResult } from './src/types/RequestResult';
 
+export * from './src/types/cache';
 export * from './src/types/Client';
 export * from './src/types/errors';
 export * from './src/types/Expr';
 export * from './src/types/values';
 export * from './src/types/PageHelper';
+export * from './src/types/Session';
 export * from './src/types/query';
 export * from './src/types/RequestResult';
+export * from './src/types/stream';
+export * from './src/types/txnTime';
+export * from './src/types/transport';
+export * from './src/types/recording';
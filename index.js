@@ -2,10 +2,16 @@ module.exports = {
   Client: require('./src/Client'),
   Expr: require('./src/Expr'),
   PageHelper: require('./src/PageHelper'),
+  Session: require('./src/Session'),
   RequestResult: require('./src/RequestResult'),
 
   clientLogger: require('./src/clientLogger'),
   errors: require('./src/errors'),
   values: require('./src/values'),
   query: require('./src/query'),
+  cache: require('./src/cache'),
+  stream: require('./src/stream'),
+  txnTime: require('./src/txnTime'),
+  transport: require('./src/transport'),
+  recording: require('./src/recording'),
 }
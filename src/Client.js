@@ -3,15 +3,64 @@
 var APIVersion = '2.7'
 
 var btoa = require('btoa-lite')
+var Batcher = require('./_batch')
+var Cache = require('./cache').Cache
+var CircuitBreaker = require('./_circuit')
+var compression = require('./_compression')
+var config = require('./_config')
+var Deduplicator = require('./_dedupe')
+var EndpointPool = require('./_endpoints')
 var errors = require('./errors')
+var fql = require('./_fql')
 var query = require('./query')
 var values = require('./values')
 var json = require('./_json')
+var Limiter = require('./_limiter')
+var SecretProvider = require('./_secrets')
+var Session = require('./Session')
+var middleware = require('./_middleware')
+var objectAssign = require('object-assign')
 var RequestResult = require('./RequestResult')
 var util = require('./_util')
 var PageHelper = require('./PageHelper')
+var retry = require('./_retry')
+var scopes = require('./_scope')
+var stream = require('./stream')
+var tracing = require('./_tracing')
+var FetchTransport = require('./transport').FetchTransport
 var parse = require('url-parse')
 
+var defaultOptions = {
+  domain: 'db.fauna.com',
+  scheme: 'https',
+  port: null,
+  secret: null,
+  timeout: 60,
+  observer: null,
+  keepAlive: true,
+  headers: {},
+  fetch: undefined,
+  retry: null,
+  batch: null,
+  endpoints: null,
+  healthCheckInterval: 5000,
+  maxSockets: undefined,
+  maxFreeSockets: undefined,
+  socketTimeout: undefined,
+  cache: null,
+  dedupe: false,
+  maxConcurrentQueries: null,
+  rateLimit: null,
+  queueTimeout: null,
+  circuitBreaker: null,
+  tracer: null,
+  txnTimeStore: null,
+  compression: null,
+  transport: null,
+  secretProvider: null,
+  validate: false,
+}
+
 /**
  * The callback that will be executed after every completed request.
  *
@@ -19,6 +68,80 @@ var parse = require('url-parse')
  * @param {RequestResult} res
  */
 
+/**
+ * A function wrapping the requests of a {@link Client}, see {@link Client#use}.
+ *
+ * @callback Client~middleware
+ * @param {Object} ctx The request context.
+ * @param {Client} ctx.client The client sending the request.
+ * @param {string} ctx.method The HTTP method of the request.
+ * @param {string} ctx.path The path of the request.
+ * @param {?Object} ctx.query The URL query parameters of the request.
+ * @param {*} ctx.expression
+ *   The query expression sent as the request body. Can be replaced.
+ * @param {Object} ctx.options The options of the query.
+ * @param {Object} ctx.headers Additional headers to send with the request.
+ * @param {number} ctx.attempt The attempt number, starting at 1.
+ * @param {string} ctx.endpoint Base URL of the FaunaDB endpoint.
+ * @param {?string} ctx.dedupeKey
+ *   The key under which the request was shared with identical queries, set
+ *   once the request is sent. See the `dedupe` option of {@link Client}.
+ * @param {number} ctx.queueWait
+ *   Time in milliseconds the request waited for the concurrency and rate
+ *   limits of the client, set once the request is sent.
+ * @param {number} ctx.queueDepth
+ *   Number of queued requests when the request was queued.
+ * @param {?{from: string, to: string}} ctx.circuitTransition
+ *   The change of state of the circuit breaker caused by the outcome of the
+ *   request, such as `{ from: 'closed', to: 'open' }`. The circuit becoming
+ *   half-open is reported by the probe, and the outcome of the probe by the
+ *   next request.
+ * @param {?RequestResult} ctx.requestResult
+ *   The result of the request, set once a response is received.
+ * @param {function(): external:Promise<*>} next
+ *   Runs the rest of the middleware and sends the request. Resolves to the
+ *   query result.
+ * @return {external:Promise<*>} The query result.
+ */
+
+/**
+ * Configures how failed requests are retried. Only requests that cannot
+ * write to the database are retried unless `writes` is enabled.
+ *
+ * @typedef {Object} Client~retryOptions
+ * @property {?number} maxAttempts
+ *   Maximum number of attempts, including the first one. Defaults to 3.
+ * @property {?number} initialDelay
+ *   Delay in milliseconds before the first retry. Doubled on every retry.
+ *   Defaults to 100.
+ * @property {?number} maxDelay
+ *   Upper bound in milliseconds for the delay between attempts. Defaults to 5000.
+ * @property {?boolean} jitter
+ *   Randomizes each delay between zero and its computed value. Defaults to true.
+ * @property {?Array<number>} statusCodes
+ *   HTTP status codes that are retried. Defaults to `[429, 503]`.
+ * @property {?Array<Function>} errors
+ *   Additional error classes that are retried.
+ * @property {?boolean} networkErrors
+ *   Retries requests that failed without a response. Defaults to true.
+ * @property {?boolean} writes
+ *   Retries queries that may write to the database. Defaults to false.
+ */
+
+/**
+ * Describes the secret of a child database, composed as
+ * `secret:database:role`. See {@link Client#scoped}.
+ *
+ * @typedef {Object} Client~secretScope
+ * @property {?string} secret
+ *   The key secret to scope. Defaults to the secret of the client, in which
+ *   case `database` is relative to the database the client is scoped to.
+ * @property {?string} database Slash separated path of the child database.
+ * @property {?string} role
+ *   A built-in role such as `server`, or the name of a user defined role.
+ * @property {?Ref} ref A document ref to authenticate as.
+ */
+
 /**
  * A client for interacting with FaunaDB.
  *
@@ -53,40 +176,247 @@ var parse = require('url-parse')
  *   Configures http/https keepAlive option (ignored in browser environments)
  * @param {?fetch} options.fetch
  *   a fetch compatible [API](https://developer.mozilla.org/en-US/docs/Web/API/Fetch_API) for making a request
+ * @param {?(Client~retryOptions|boolean)} options.retry
+ *   Retries transient failures with exponential backoff. Disabled by default;
+ *   `true` enables it with the default settings.
+ * @param {?(Object|boolean)} options.batch
+ *   Coalesces the queries issued within a time window into a single request.
+ *   Queries in a batch run in the same transaction; if it fails with a
+ *   BadRequest, a PermissionDenied or a NotFound error, each query is sent
+ *   again on its own. Only queries without
+ *   options other than `secret` are batched, and queries with different
+ *   secrets are batched separately. Disabled by default; `true` enables it
+ *   with the default settings.
+ * @param {?number} options.batch.maxSize
+ *   Maximum number of queries per batch. Defaults to 100.
+ * @param {?number} options.batch.windowMs
+ *   Time in milliseconds to wait for more queries before sending a batch.
+ *   Defaults to 0, which gathers the queries issued in the same tick.
+ * @param {?Array<{domain: string, scheme: ?string, port: ?number}>} options.endpoints
+ *   FaunaDB servers to fail over between, in order of preference. When set,
+ *   `domain` and `port` are ignored and `scheme` is the default scheme of the
+ *   endpoints. Queries go to the first healthy endpoint; an endpoint is marked
+ *   unhealthy after a connection error or a 503 response, and pinged in the
+ *   background until it recovers. The failed query itself is only sent again
+ *   if `retry` is enabled.
+ * @param {?number} options.healthCheckInterval
+ *   Time in milliseconds between two pings of an unhealthy endpoint.
+ *   Defaults to 5000.
+ * @param {?number} options.maxSockets
+ *   Maximum number of sockets per host of the keepAlive agent.
+ * @param {?number} options.maxFreeSockets
+ *   Maximum number of idle sockets per host kept open by the keepAlive agent.
+ * @param {?number} options.socketTimeout
+ *   Socket timeout in milliseconds of the keepAlive agent.
+ * @param {?(Object|boolean)} options.cache
+ *   Reuses the results of read queries for a while, see {@link Cache}.
+ *   Disabled by default; `true` enables it with the default settings.
+ * @param {?number} options.cache.ttl
+ *   Time in milliseconds a result is reused. Defaults to 5000.
+ * @param {?number} options.cache.maxEntries
+ *   Maximum number of cached results. Defaults to 1000.
+ * @param {?module:cache~Store} options.cache.store
+ *   Where results are stored. Defaults to an in-memory LRU store.
+ * @param {?boolean} options.dedupe
+ *   Sends a single request for concurrent identical read queries with the
+ *   same secret, and resolves each of them with its response. Queries with a
+ *   `signal` or `timeout` option, or extra headers set by a middleware, are
+ *   always sent on their own. Disabled by default.
+ * @param {?number} options.maxConcurrentQueries
+ *   Maximum number of requests in flight. Further queries wait in a queue,
+ *   in order of priority and then of arrival. Unlimited by default.
+ * @param {?Object} options.rateLimit
+ *   Limits the rate of requests with a token bucket. Queries over the rate
+ *   wait in the same queue. Unlimited by default.
+ * @param {number} options.rateLimit.requestsPerSecond
+ *   Sustained number of requests per second.
+ * @param {?number} options.rateLimit.burst
+ *   Number of requests that can be sent at once after an idle period.
+ *   Defaults to `requestsPerSecond`.
+ * @param {?number} options.queueTimeout
+ *   Time in milliseconds a query can wait in the queue before being rejected
+ *   with {@link module:errors~QueueTimeout}. Unlimited by default.
+ * @param {?(Object|boolean)} options.circuitBreaker
+ *   Fails requests fast with {@link module:errors~CircuitOpenError} once too
+ *   many recent requests failed with an InternalError, an UnavailableError,
+ *   a timeout or a network error. After `resetTimeout`, the client is pinged
+ *   and the circuit closes again if the ping succeeds. State changes are
+ *   reported as `circuitTransition` to the observer and middleware.
+ *   Disabled by default; `true` enables it with the default settings.
+ * @param {?number} options.circuitBreaker.failureRatio
+ *   Ratio of failed requests that opens the circuit. Defaults to 0.5.
+ * @param {?number} options.circuitBreaker.minimumRequests
+ *   Number of recent requests needed to open the circuit. Defaults to 10.
+ * @param {?number} options.circuitBreaker.windowSize
+ *   Number of recent requests considered. Defaults to 20.
+ * @param {?number} options.circuitBreaker.resetTimeout
+ *   Time in milliseconds before an open circuit is probed. Defaults to 10000.
+ * @param {?Object} options.tracer
+ *   Creates a span around every request, such as an OpenTelemetry tracer.
+ *   It needs a `startSpan(name, options)` method returning a span with
+ *   `setAttribute(key, value)`, `setStatus(status)` and `end()` methods.
+ *   When spans have a `spanContext()` method, their context is sent in
+ *   `traceparent` and `tracestate` headers.
+ * @param {?Object} options.txnTimeStore
+ *   Shares the last seen transaction time with other clients, see
+ *   {@link module:txnTime}. The store is read before every request, and
+ *   updated with the transaction time of every response.
+ * @param {?(Object|string|boolean)} options.compression
+ *   Compresses request bodies larger than `threshold`, and accepts
+ *   compressed responses. Disabled by default; `true` enables gzip with the
+ *   default threshold, and `'gzip'` or `'deflate'` pick the encoding.
+ *   Compressed sizes are reported on the {@link RequestResult}.
+ * @param {?string} options.compression.encoding
+ *   `'gzip'` or `'deflate'`. Defaults to `'gzip'`.
+ * @param {?number} options.compression.threshold
+ *   Size in bytes below which request bodies are sent uncompressed.
+ *   Defaults to 1024.
+ * @param {?module:transport~Transport} options.transport
+ *   Sends the requests of the client instead of `fetch`, such as a
+ *   {@link module:transport~MockTransport} in tests.
+ * @param {?function(): Promise<string>} options.secretProvider
+ *   Returns the secret of the client, such as a token obtained with `Login`,
+ *   in place of `secret`. The secret is cached, and the provider called
+ *   again once when a query fails with {@link module:errors~Unauthorized},
+ *   before the query is retried. Concurrent refreshes share a single call.
+ * @param {?boolean} options.validate
+ *   Checks queries with {@link module:query~validate} before sending them,
+ *   and rejects those with errors with {@link module:errors~InvalidQuery}.
+ *   Disabled by default.
  */
 function Client(options) {
   var isNodeEnv = typeof window === 'undefined'
-  var opts = util.applyDefaults(options, {
-    domain: 'db.fauna.com',
-    scheme: 'https',
-    port: null,
-    secret: null,
-    timeout: 60,
-    observer: null,
-    keepAlive: true,
-    headers: {},
-    fetch: undefined,
-  })
+  var opts = util.applyDefaults(options, defaultOptions)
   var isHttps = opts.scheme === 'https'
 
   if (opts.port === null) {
     opts.port = isHttps ? 443 : 80
   }
 
+  this._options = opts
   this._baseUrl = opts.scheme + '://' + opts.domain + ':' + opts.port
   this._timeout = Math.floor(opts.timeout * 1000)
   this._secret = opts.secret
-  this._observer = opts.observer
+  this._secretProvider = opts.secretProvider
+    ? new SecretProvider(opts.secretProvider)
+    : null
+  this._validate = opts.validate
+  this._middleware =
+    opts.observer === null ? [] : [middleware.observer(opts.observer)]
   this._lastSeen = null
   this._headers = opts.headers
-  this._fetch = opts.fetch || require('cross-fetch')
+  this._transport =
+    opts.transport || new FetchTransport(opts.fetch || require('cross-fetch'))
+  this._retryPolicy = retry.createPolicy(opts.retry)
+  this._batcher = opts.batch ? new Batcher(this, opts.batch) : null
+  /**
+   * The query result cache of this client, or null when the `cache` option
+   * is disabled. Shared with the clients scoped from it.
+   * @type {?Cache}
+   */
+  this.cache = opts.cache ? new Cache(opts.cache) : null
+  this._deduplicator = opts.dedupe ? new Deduplicator() : null
+  this._tracer = opts.tracer
+  this._txnTimeStore = opts.txnTimeStore
+  this._compression = compression.parseOptions(opts.compression)
+  this._circuitBreaker = opts.circuitBreaker
+    ? new CircuitBreaker(this, opts.circuitBreaker)
+    : null
+  this._limiter =
+    opts.maxConcurrentQueries === null && opts.rateLimit === null
+      ? null
+      : new Limiter({
+          maxConcurrent: opts.maxConcurrentQueries,
+          rateLimit: opts.rateLimit,
+          queueTimeout: opts.queueTimeout,
+        })
+  this._closed = false
+  this._cancelAll = false
+  this._inFlight = []
+  this._cancelers = []
+  this._subscriptions = []
+  this._completed = 0
+  this._parent = null
+  this._scope = null
+
+  var agentOptions = util.removeUndefinedValues({
+    keepAlive: true,
+    maxSockets: opts.maxSockets,
+    maxFreeSockets: opts.maxFreeSockets,
+    timeout: opts.socketTimeout,
+  })
 
   if (isNodeEnv && opts.keepAlive) {
-    this._keepAliveEnabledAgent = new (isHttps
-      ? require('https')
-      : require('http')
-    ).Agent({ keepAlive: true })
+    this._keepAliveEnabledAgent = createAgent(opts.scheme, agentOptions)
   }
+
+  var self = this
+  this._endpointPool =
+    opts.endpoints === null
+      ? null
+      : new EndpointPool(
+          this,
+          opts.endpoints,
+          {
+            scheme: opts.scheme,
+            agentFor: function(scheme) {
+              if (scheme === opts.scheme) {
+                return self._keepAliveEnabledAgent
+              }
+              return isNodeEnv && opts.keepAlive
+                ? createAgent(scheme, agentOptions)
+                : undefined
+            },
+          },
+          opts.healthCheckInterval
+        )
+}
+
+/**
+ * Creates a client from a connection string, such as
+ * `https://secret@db.fauna.com:443?timeout=30&keepAlive=false`.
+ *
+ * The secret is given as the user name of the URL, along with the password
+ * for scoped secrets such as `secret:db:role`. The `timeout`,
+ * `keepAlive`, `healthCheckInterval`, `maxSockets`, `maxFreeSockets`,
+ * `socketTimeout`, `dedupe`, `maxConcurrentQueries` and `queueTimeout`
+ * options can be given as query parameters; other parameters and paths are
+ * rejected.
+ *
+ * @param {string} url The connection string.
+ * @param {?Object} options
+ *   Other options of the client, see {@link Client}. They take precedence
+ *   over the connection string.
+ * @return {Client}
+ */
+Client.fromURL = function(url, options) {
+  return new Client(objectAssign(config.parseURL(url), options))
+}
+
+/**
+ * Creates a client configured by the `FAUNA_SECRET`, `FAUNA_DOMAIN`,
+ * `FAUNA_SCHEME`, `FAUNA_PORT` and `FAUNA_TIMEOUT` environment variables.
+ * Variables that are not set keep the default of their option.
+ *
+ * @param {?Object} options
+ *   Other options of the client, see {@link Client}. They take precedence
+ *   over the environment variables.
+ * @return {Client}
+ */
+Client.fromEnv = function(options) {
+  var env = typeof process === 'undefined' ? {} : process.env
+
+  return new Client(objectAssign(config.fromEnv(env), options))
+}
+
+/**
+ * Returns the connection string of this client, with its secret redacted,
+ * so it can be logged. See {@link Client.fromURL}.
+ *
+ * @return {string}
+ */
+Client.prototype.toURL = function() {
+  return config.formatURL(this._options, defaultOptions)
 }
 
 /**
@@ -97,12 +427,63 @@ function Client(options) {
  *   The query to execute. Created from query functions such as {@link add}.
  * @param {?Object} options
  *   Object that configures the current query, overriding FaunaDB client options.
- * @param {?string} options.secret FaunaDB secret (see [Reference Documentation](https://app.fauna.com/documentation/intro/security))
+ * @param {?(string|Client~secretScope)} options.secret
+ *   FaunaDB secret (see [Reference Documentation](https://app.fauna.com/documentation/intro/security)),
+ *   or a scope to compose the secret of a child database from.
+ * @param {?(Client~retryOptions|boolean)} options.retry
+ *   Overrides the client retry settings for this query; `false` disables retries.
+ * @param {?AbortSignal} options.signal
+ *   Cancels the query when fired. The returned promise rejects with
+ *   {@link module:errors~RequestAborted}.
+ * @param {?number} options.timeout
+ *   Timeout in seconds for this query, overriding the client timeout.
+ *   Also sent to the server so it stops working on the query.
+ * @param {?number} options.priority
+ *   Priority of the query in the queue of a client with
+ *   `maxConcurrentQueries` or `rateLimit`. Higher priorities are sent first.
+ *   Defaults to 0.
+ * @param {?number} options.queueTimeout
+ *   Overrides the client queue timeout for this query.
+ * @param {?boolean} options.withMetrics
+ *   Resolves to `{ value, metrics, txnTime }` instead of the query result,
+ *   where `metrics` are the {@link RequestResult~metrics} of the query and
+ *   `txnTime` its transaction time.
  * @return {external:Promise<Object>} FaunaDB response object.
  */
 
 Client.prototype.query = function(expression, options) {
-  return this._execute('POST', '', query.wrap(expression), null, options)
+  var wire = query.wrap(expression)
+  var self = this
+
+  if (this._validate) {
+    var problems = query.validate(wire)
+
+    if (
+      problems.some(function(problem) {
+        return problem.severity === 'error'
+      })
+    ) {
+      return Promise.reject(new errors.InvalidQuery(problems))
+    }
+  }
+
+  if (this.cache === null || !Cache.isCacheable(wire, options)) {
+    return this._send(wire, options)
+  }
+
+  return this._withSecret(options && options.secret, function(secret) {
+    return self.cache.fetch(secret, wire, function() {
+      return self._send(wire, options)
+    })
+  })
+}
+
+Client.prototype._send = function(wire, options) {
+  if (this._batcher !== null && Batcher.isBatchable(options)) {
+    return this._batcher.add(wire, options)
+  }
+
+  return this._execute('POST', '', wire, null, options)
 }
 
 /**
@@ -114,7 +495,14 @@ Client.prototype.query = function(expression, options) {
  *   Options to be passed to the paginate function. See [paginate](https://app.fauna.com/documentation/reference/queryapi#read-functions).
  * @param options {?Object}
  *   Object that configures the current pagination queries, overriding FaunaDB client options.
- * @param {?string} options.secret FaunaDB secret (see [Reference Documentation](https://app.fauna.com/documentation/intro/security))
+ * @param {?(string|Client~secretScope)} options.secret
+ *   FaunaDB secret (see [Reference Documentation](https://app.fauna.com/documentation/intro/security)),
+ *   or a scope to compose the secret of a child database from.
+ * @param {?AbortSignal} options.signal
+ *   Cancels the pagination queries when fired.
+ * @param {?number} options.timeout Timeout in seconds for each pagination query.
+ * @param {?number} options.priority
+ *   Queue priority of each pagination query, see {@link Client#query}.
  * @returns {PageHelper} A PageHelper that wraps the provided expression.
  */
 Client.prototype.paginate = function(expression, params, options) {
@@ -132,12 +520,160 @@ Client.prototype.ping = function(scope, timeout) {
   return this._execute('GET', 'ping', null, { scope: scope, timeout: timeout })
 }
 
+/**
+ * Opens an event stream on a document ref or a set expression.
+ * The stream is not opened until {@link Subscription#start} is called or
+ * the subscription is iterated with `for await`.
+ *
+ * @param expression {Expr}
+ *   A document ref or a set expression to stream events for.
+ * @param {?Object} options
+ *   Object that configures the stream, overriding FaunaDB client options.
+ * @param {?(string|Client~secretScope)} options.secret
+ *   FaunaDB secret (see [Reference Documentation](https://app.fauna.com/documentation/intro/security)),
+ *   or a scope to compose the secret of a child database from.
+ * @param {?Array<string>} options.fields
+ *   Fields to include in each event, e.g. `['action', 'document', 'diff']`.
+ * @return {Subscription} A subscription for the stream's events.
+ */
+Client.prototype.stream = function(expression, options) {
+  return new stream.Subscription(this, expression, options)
+}
+
+/**
+ * Adds a middleware around the requests of this client, including those
+ * opening streams. Middleware run in the order they were added, around every
+ * attempt of a request, and can
+ * add headers, rewrite the expression, resolve without sending the request
+ * or observe its result or error. The `observer` option of the client is
+ * the first middleware.
+ *
+ * @example
+ * client.use(function(ctx, next) {
+ *   ctx.headers['X-Request-Id'] = uuid()
+ *   return next().catch(function(error) {
+ *     report(error)
+ *     throw error
+ *   })
+ * })
+ *
+ * @param {Client~middleware} fn
+ * @return {Client} This client, for chaining.
+ */
+Client.prototype.use = function(fn) {
+  if (typeof fn !== 'function') {
+    throw new errors.InvalidValue('Middleware must be a function')
+  }
+
+  this._middleware.push(fn)
+  return this
+}
+
+/**
+ * Returns a client authenticating against a child database, with a secret
+ * composed from this client's secret, such as `secret:db/path:role`.
+ *
+ * The scoped client shares the http agents, endpoints, observer and last
+ * seen transaction time of this client. Scoping a scoped client appends
+ * `database` to its database path.
+ *
+ * @param {string} database Slash separated path of the child database.
+ * @param {?Object} options
+ * @param {?string} options.role
+ *   A built-in role such as `server`, or the name of a user defined role.
+ *   Defaults to `admin`, or to the role of this client if it is scoped.
+ * @param {?Ref} options.ref A document ref to authenticate as.
+ * @return {Client} The scoped client.
+ */
+Client.prototype.scoped = function(database, options) {
+  var child = this._child()
+
+  child._scope = scopes.createScope(this._scope, database, options)
+
+  return child
+}
+
+/**
+ * Logs in with `Login(identity, { password })` and resolves to a
+ * {@link Session} holding a client authenticated with the new token.
+ *
+ * @example
+ * client
+ *   .login(q.Match(q.Index('users_by_email'), email), password, { ttl: 3600 })
+ *   .then(function(session) {
+ *     return session.client.query(q.Get(session.identity))
+ *   })
+ *
+ * @param {Expr} identity
+ *   The ref of the document to log in as, or an expression returning it,
+ *   such as a `Match` on a unique index.
+ * @param {string} password
+ * @param {?Object} options
+ * @param {?number} options.ttl
+ *   Lifetime of the token in seconds. It doesn't expire by default.
+ * @param {?Object} options.data Data stored in the token.
+ * @return {external:Promise<Session>}
+ */
+Client.prototype.login = function(identity, password, options) {
+  var opts = util.applyDefaults(options, { ttl: undefined, data: undefined })
+  var self = this
+
+  return this.query(
+    query.Login(identity, Session.loginParams(password, opts))
+  ).then(function(token) {
+    return new Session(self, token, opts)
+  })
+}
+
+/**
+ * Returns a client authenticated with `secret`, sharing the resources of
+ * this client like a scoped client.
+ * @private
+ */
+Client.prototype._bind = function(secret) {
+  var child = this._child()
+
+  child._secret = secret
+  child._secretProvider = null
+  child._scope = null
+
+  return child
+}
+
+/**
+ * Returns a child of this client: a client sharing its http agents,
+ * endpoints, observer and last seen transaction time, closed along with it.
+ * @private
+ */
+Client.prototype._child = function() {
+  var child = objectAssign(Object.create(Client.prototype), this)
+
+  child._parent = this
+  child._batcher =
+    this._batcher === null
+      ? null
+      : new Batcher(child, {
+          maxSize: this._batcher._maxSize,
+          windowMs: this._batcher._windowMs,
+        })
+  child._closed = false
+  child._cancelAll = false
+  child._inFlight = []
+  child._cancelers = []
+  child._subscriptions = []
+  child._completed = 0
+  child._middleware = []
+
+  return child
+}
+
 /**
  * Get the freshest timestamp reported to this client.
+ * The `txnTimeStore` of the client may hold a fresher one.
  * @returns {number} the last seen transaction time
  */
 Client.prototype.getLastTxnTime = function() {
-  return this._lastSeen
+  return this._root()._lastSeen
 }
 
 /**
@@ -148,14 +684,220 @@ Client.prototype.getLastTxnTime = function() {
  *          multiple clients. Moving the timestamp arbitrarily forward into
  *          the future will cause transactions to stall.
  * @param time {number} the last seen transaction time
+ * @returns {external:Promise<void>}
+ *   Resolved once the `txnTimeStore` of the client is updated.
  */
 Client.prototype.syncLastTxnTime = function(time) {
-  if (this._lastSeen == null || this._lastSeen < time) {
-    this._lastSeen = time
+  var root = this._root()
+  var store = this._txnTimeStore
+
+  if (root._lastSeen == null || root._lastSeen < time) {
+    root._lastSeen = time
   }
+
+  if (store === null) {
+    return Promise.resolve()
+  }
+
+  // The request already succeeded, a failing store only loses consistency
+  // with the other clients.
+  return new Promise(function(resolve) {
+    resolve(store.set(time))
+  }).catch(function() {})
+}
+
+/**
+ * Closes this client. Queries issued afterwards are rejected with
+ * {@link module:errors~ClientClosed}. Once the in-flight queries settle,
+ * the http agents are destroyed so no sockets are left open.
+ *
+ * Closing a client also closes its open streams and the clients scoped from
+ * it. Closing a scoped client leaves the shared http agents open.
+ *
+ * @param {?Object} options
+ * @param {?boolean} options.drain
+ *   Waits for the in-flight queries to complete. When false, they are aborted
+ *   and rejected with {@link module:errors~ClientClosed}. Defaults to true.
+ * @return {external:Promise<void>} Resolved once the client is closed.
+ */
+Client.prototype.close = function(options) {
+  var opts = util.applyDefaults(options, { drain: true })
+  var self = this
+
+  if (this._batcher !== null) {
+    this._batcher.flush()
+  }
+
+  this._closed = true
+
+  if (this._parent === null && this._endpointPool !== null) {
+    this._endpointPool.stop()
+  }
+
+  if (this._parent === null && this._circuitBreaker !== null) {
+    this._circuitBreaker.stop()
+  }
+
+  // Streams don't end by themselves, so they are closed even when draining.
+  this._subscriptions.slice().forEach(function(subscription) {
+    subscription.close()
+  })
+
+  if (!opts.drain) {
+    this._cancelAll = true
+    this._cancelers.slice().forEach(function(cancel) {
+      cancel()
+    })
+  }
+
+  var settled = this._inFlight.map(function(promise) {
+    return promise.catch(function() {})
+  })
+
+  return Promise.all(settled).then(function() {
+    if (self._parent === null) {
+      self._agents().forEach(function(agent) {
+        agent.destroy()
+      })
+    }
+  })
+}
+
+/**
+ * Returns counters describing the activity of this client, including the
+ * requests of the clients scoped from it.
+ *
+ * @return {{inFlight: number, completed: number, queued: number, averageQueueWait: number}}
+ *   The number of requests waiting for a response, the number of requests
+ *   that completed, successfully or not, the number of requests waiting for
+ *   the concurrency and rate limits of the client, and the average time in
+ *   milliseconds requests waited for these limits.
+ */
+Client.prototype.stats = function() {
+  var queue =
+    this._limiter === null
+      ? { queued: 0, averageQueueWait: 0 }
+      : this._limiter.stats()
+
+  return {
+    inFlight: this._inFlight.length,
+    completed: this._completed,
+    queued: queue.queued,
+    averageQueueWait: queue.averageQueueWait,
+  }
+}
+
+Client.prototype._agents = function() {
+  var agents = this._keepAliveEnabledAgent ? [this._keepAliveEnabledAgent] : []
+
+  if (this._endpointPool !== null) {
+    this._endpointPool.endpoints.forEach(function(endpoint) {
+      if (endpoint.agent && agents.indexOf(endpoint.agent) === -1) {
+        agents.push(endpoint.agent)
+      }
+    })
+  }
+
+  return agents
+}
+
+/**
+ * Waits for the concurrency and rate limits of this client, see
+ * {@link Limiter#acquire}.
+ * @private
+ */
+Client.prototype._acquireSlot = function(options) {
+  return this._limiter.acquire(
+    options,
+    this._lineage().map(function(client) {
+      return client._cancelers
+    })
+  )
+}
+
+Client.prototype._middlewareChain = function() {
+  return this._lineage()
+    .reverse()
+    .reduce(function(chain, client) {
+      return chain.concat(client._middleware)
+    }, [])
+}
+
+Client.prototype._root = function() {
+  return this._parent === null ? this : this._parent._root()
+}
+
+/**
+ * Returns this client followed by the clients it was scoped from.
+ * @private
+ */
+Client.prototype._lineage = function() {
+  return this._parent === null ? [this] : [this].concat(this._parent._lineage())
+}
+
+/**
+ * Keeps an open subscription in the lineage of this client, so closing any
+ * of them closes it. Returns a function forgetting it once closed.
+ * @private
+ */
+Client.prototype._trackSubscription = function(subscription) {
+  var lineage = this._lineage()
+
+  lineage.forEach(function(client) {
+    client._subscriptions.push(subscription)
+  })
+
+  return function() {
+    lineage.forEach(function(client) {
+      var index = client._subscriptions.indexOf(subscription)
+
+      if (index >= 0) {
+        client._subscriptions.splice(index, 1)
+      }
+    })
+  }
+}
+
+Client.prototype._track = function(promise) {
+  var lineage = this._lineage()
+
+  lineage.forEach(function(client) {
+    client._inFlight.push(promise)
+  })
+
+  function done() {
+    lineage.forEach(function(client) {
+      client._inFlight.splice(client._inFlight.indexOf(promise), 1)
+      client._completed++
+    })
+  }
+
+  return promise.then(
+    function(result) {
+      done()
+      return result
+    },
+    function(error) {
+      done()
+      throw error
+    }
+  )
 }
 
 Client.prototype._execute = function(method, path, data, query, options) {
+  var lineage = this._lineage()
+
+  if (
+    lineage.some(function(client) {
+      return client._closed
+    })
+  ) {
+    return Promise.reject(new errors.ClientClosed())
+  }
+
+  var secret = options && options.secret
+
+  options = objectAssign({}, options)
   query = defaults(query, null)
 
   if (path instanceof values.Ref) {
@@ -166,43 +908,241 @@ Client.prototype._execute = function(method, path, data, query, options) {
     query = util.removeUndefinedValues(query)
   }
 
-  var startTime = Date.now()
   var self = this
-  var body =
-    ['GET', 'HEAD'].indexOf(method) >= 0 ? undefined : JSON.stringify(data)
+  var hasBody = ['GET', 'HEAD'].indexOf(method) === -1
+  var retryPolicy = retry.resolvePolicy(
+    this._retryPolicy,
+    options && options.retry
+  )
+  var idempotent = !hasBody || fql.isReadOnly(data)
+  var chain = this._middlewareChain()
+  var span = tracing.startSpan(this._tracer, method, path, data)
+  var traceHeaders = tracing.headers(span)
 
-  return this._performRequest(method, path, body, query, options).then(function(
-    response
-  ) {
-    var endTime = Date.now()
-    var responseText = response.text
-    var responseObject = json.parseJSON(responseText)
-    var requestResult = new RequestResult(
-      method,
-      path,
-      query,
-      body,
-      data,
-      responseText,
-      responseObject,
-      response.status,
-      responseHeadersAsObject(response),
-      startTime,
-      endTime
-    )
-    var txnTimeHeaderKey = 'x-txn-time'
+  function cancelled() {
+    return lineage.some(function(client) {
+      return client._cancelAll
+    })
+  }
 
-    if (response.headers.has(txnTimeHeaderKey)) {
-      self.syncLastTxnTime(parseInt(response.headers.get(txnTimeHeaderKey), 10))
+  function attempt(attemptNumber, refreshed) {
+    if (cancelled()) {
+      return Promise.reject(new errors.ClientClosed())
     }
 
-    if (self._observer != null) {
-      self._observer(requestResult, self)
+    return self._withSecret(secret, function(authSecret, provided) {
+      options.secret = authSecret
+      return run(attemptNumber, refreshed, provided)
+    })
+  }
+
+  function run(attemptNumber, refreshed, provided) {
+    var networkFailure = false
+    var txnTime = null
+    var endpoint = self._pickEndpoint(options)
+    var ctx = {
+      client: self,
+      method: method,
+      path: path,
+      query: query,
+      expression: data,
+      options: options,
+      headers: {},
+      attempt: attemptNumber,
+      endpoint: endpoint.url,
+      dedupeKey: null,
+      queueWait: 0,
+      queueDepth: 0,
+      circuitTransition: null,
+      requestResult: null,
     }
 
-    errors.FaunaHTTPError.raiseForStatusCode(requestResult)
-    return responseObject['resource']
-  })
+    function send(ctx) {
+      if (self._circuitBreaker !== null && !self._circuitBreaker.allow()) {
+        return Promise.reject(new errors.CircuitOpenError())
+      }
+
+      var startTime = Date.now()
+      var requestData = ctx.expression
+      var body = hasBody ? JSON.stringify(requestData) : undefined
+      var perform = function() {
+        return self._performRequest(
+          method,
+          path,
+          body,
+          query,
+          options,
+          endpoint,
+          objectAssign({}, traceHeaders, ctx.headers),
+          function() {
+            networkFailure = true
+          }
+        )
+      }
+      var request = function() {
+        if (self._limiter === null) {
+          return perform()
+        }
+
+        return self._acquireSlot(options).then(function(slot) {
+          ctx.queueWait = slot.wait
+          ctx.queueDepth = slot.depth
+
+          if (cancelled()) {
+            slot.release()
+            throw new errors.ClientClosed()
+          }
+
+          return perform().then(
+            function(response) {
+              slot.release()
+              return response
+            },
+            function(error) {
+              slot.release()
+              throw error
+            }
+          )
+        })
+      }
+      var response
+
+      if (
+        self._deduplicator !== null &&
+        canDedupe(body, requestData, options, ctx.headers)
+      ) {
+        var shared = self._deduplicator.run(options.secret, body, request)
+        ctx.dedupeKey = shared.key
+        response = shared.promise
+      } else {
+        response = request()
+      }
+
+      return response
+        .then(function(response) {
+          var endTime = Date.now()
+          var responseText = response.text
+          var responseObject = json.parseJSON(responseText)
+          var requestResult = new RequestResult(
+            method,
+            path,
+            query,
+            body,
+            requestData,
+            responseText,
+            responseObject,
+            response.status,
+            responseHeadersAsObject(response),
+            startTime,
+            endTime
+          )
+          var txnTimeHeaderKey = 'x-txn-time'
+
+          requestResult.attempt = attemptNumber
+          requestResult.endpoint = endpoint.url
+          requestResult.dedupeKey = ctx.dedupeKey
+          requestResult.queueWait = ctx.queueWait
+          requestResult.queueDepth = ctx.queueDepth
+          requestResult.compressedRequestBytes =
+            response.compressedRequestBytes || null
+          requestResult.compressedResponseBytes =
+            response.compressedResponseBytes || null
+          ctx.requestResult = requestResult
+
+          if (response.headers.has(txnTimeHeaderKey)) {
+            txnTime = parseInt(response.headers.get(txnTimeHeaderKey), 10)
+          }
+
+          tracing.recordResult(span, requestResult, txnTime)
+
+          return (txnTime === null
+            ? Promise.resolve()
+            : self.syncLastTxnTime(txnTime)
+          ).then(function() {
+            errors.FaunaHTTPError.raiseForStatusCode(requestResult)
+            return responseObject['resource']
+          })
+        })
+        .then(
+          function(result) {
+            recordOutcome(false)
+            return result
+          },
+          function(error) {
+            recordOutcome(isCircuitFailure(error, networkFailure))
+            throw error
+          }
+        )
+    }
+
+    function recordOutcome(failed) {
+      if (self._circuitBreaker === null) {
+        return
+      }
+
+      ctx.circuitTransition = self._circuitBreaker.record(failed)
+
+      if (ctx.requestResult !== null) {
+        ctx.requestResult.circuitTransition = ctx.circuitTransition
+      }
+    }
+
+    return middleware
+      .run(chain, ctx, send)
+      .then(function(result) {
+        if (options.withMetrics) {
+          return {
+            value: result,
+            metrics:
+              ctx.requestResult === null ? {} : ctx.requestResult.metrics,
+            txnTime: txnTime,
+          }
+        }
+
+        return result
+      })
+      .catch(function(error) {
+        if (
+          self._endpointPool !== null &&
+          isEndpointFailure(error, networkFailure)
+        ) {
+          self._endpointPool.markUnhealthy(endpoint)
+        }
+
+        if (
+          error instanceof errors.Unauthorized &&
+          provided !== null &&
+          !refreshed
+        ) {
+          return self._secretProvider.refresh(provided).then(function() {
+            return attempt(attemptNumber + 1, true)
+          })
+        }
+
+        var shouldRetry = retry.shouldRetry(
+          retryPolicy,
+          error,
+          attemptNumber,
+          idempotent,
+          networkFailure
+        )
+
+        if (!shouldRetry) {
+          throw error
+        }
+
+        return retry
+          .wait(
+            retry.backoffDelay(retryPolicy, attemptNumber),
+            options && options.signal
+          )
+          .then(function() {
+            return attempt(attemptNumber + 1, refreshed)
+          })
+      })
+  }
+
+  return this._track(tracing.endSpan(span, attempt(1, false)))
 }
 
 Client.prototype._performRequest = function(
@@ -210,34 +1150,341 @@ Client.prototype._performRequest = function(
   path,
   body,
   query,
-  options
+  options,
+  endpoint,
+  headers,
+  onNetworkFailure
 ) {
-  var url = parse(this._baseUrl)
+  var url = parse(endpoint.url)
   url.set('pathname', path)
   url.set('query', query)
   options = defaults(options, {})
-  const secret = options.secret || this._secret
-
-  return this._fetch(url.href, {
-    agent: this._keepAliveEnabledAgent,
-    body: body,
-    headers: util.removeNullAndUndefinedValues({
-      ...this._headers,
-      Authorization: secret && secretHeader(secret),
-      'X-FaunaDB-API-Version': APIVersion,
-      'X-Fauna-Driver': 'Javascript',
-      'X-Last-Seen-Txn': this._lastSeen,
+  var queryTimeout =
+    options.timeout === undefined ? null : Math.floor(options.timeout * 1000)
+  var signal = options.signal
+  var controller =
+    typeof AbortController === 'undefined' ? null : new AbortController()
+  var timeout = queryTimeout === null ? this._timeout : queryTimeout
+  var self = this
+
+  return withAbort(
+    signal,
+    timeout,
+    controller,
+    this._lineage().map(function(client) {
+      return client._cancelers
     }),
-    method: method,
-    timeout: this._timeout,
-  }).then(function(response) {
-    return response.text().then(function(text) {
-      response.text = text
-      return response
+    function() {
+      return self._withLastTxnTime(function(lastSeen) {
+        if (self._compression === null) {
+          return send(body, null)
+        }
+
+        return compression
+          .compress(body, self._compression)
+          .then(function(compressed) {
+            return send(compressed === null ? body : compressed, compressed)
+          })
+
+        function send(payload, compressed) {
+          var request = {
+            method: method,
+            url: url.href,
+            path: path,
+            query: query,
+            body: payload,
+            headers: util.removeNullAndUndefinedValues({
+              ...self._requestHeaders(options.secret, lastSeen),
+              ...headers,
+              'Accept-Encoding':
+                self._compression && compression.acceptEncoding,
+              'Content-Encoding': compressed && self._compression.encoding,
+              'X-Query-Timeout': queryTimeout,
+            }),
+            signal: controller ? controller.signal : signal,
+            // Without a controller, node-fetch can still drop the request.
+            timeout: controller ? undefined : timeout,
+            agent: endpoint.agent,
+          }
+
+          return self._transport
+            .request(request)
+            .catch(function(error) {
+              // Unlike failures of the txn time store or of compression.
+              onNetworkFailure()
+              throw error
+            })
+            .then(function(response) {
+              var read =
+                self._compression === null
+                  ? response.text().then(function(text) {
+                      return { text: text, compressedBytes: null }
+                    })
+                  : compression.readResponse(response)
+
+              return read.then(function(content) {
+                response.text = content.text
+                response.compressedRequestBytes =
+                  compressed && compressed.length
+                response.compressedResponseBytes = content.compressedBytes
+                return response
+              })
+            })
+        }
+      })
+    }
+  )
+}
+
+Client.prototype._openStream = function(data, options, signal) {
+  if (
+    this._lineage().some(function(client) {
+      return client._closed
     })
+  ) {
+    return Promise.reject(new errors.ClientClosed())
+  }
+
+  options = defaults(options, {})
+
+  var endpoint = this._pickEndpoint(options)
+  var url = parse(endpoint.url)
+  url.set('pathname', 'stream')
+
+  var query = options.fields ? { fields: options.fields.join(',') } : null
+  var self = this
+  var ctx = {
+    client: this,
+    method: 'POST',
+    path: 'stream',
+    query: query,
+    expression: data,
+    options: options,
+    headers: {},
+    attempt: 1,
+    endpoint: endpoint.url,
+    dedupeKey: null,
+    queueWait: 0,
+    queueDepth: 0,
+    circuitTransition: null,
+    requestResult: null,
+  }
+
+  if (query !== null) {
+    url.set('query', query)
+  }
+
+  function send(ctx) {
+    var body = JSON.stringify(ctx.expression)
+    var startTime = Date.now()
+
+    return self
+      ._withSecret(options.secret, function(secret) {
+        return self._withLastTxnTime(function(lastSeen) {
+          return self._transport.request({
+            method: 'POST',
+            url: url.href,
+            path: 'stream',
+            query: query,
+            body: body,
+            headers: objectAssign(
+              self._requestHeaders(secret, lastSeen),
+              ctx.headers
+            ),
+            signal: signal,
+            agent: endpoint.agent,
+          })
+        })
+      })
+      .then(function(response) {
+        if (response.status >= 200 && response.status < 300) {
+          return response
+        }
+
+        return response.text().then(function(text) {
+          var responseObject = json.parseJSON(text)
+
+          ctx.requestResult = new RequestResult(
+            'POST',
+            'stream',
+            query,
+            body,
+            ctx.expression,
+            text,
+            responseObject,
+            response.status,
+            responseHeadersAsObject(response),
+            startTime,
+            Date.now()
+          )
+          errors.FaunaHTTPError.raiseForStatusCode(ctx.requestResult)
+          return response
+        })
+      })
+  }
+
+  return middleware.run(this._middlewareChain(), ctx, send)
+}
+
+Client.prototype._pickEndpoint = function(options) {
+  if (options && options.endpoint) {
+    return options.endpoint
+  }
+
+  if (this._endpointPool !== null) {
+    return this._endpointPool.pick()
+  }
+
+  return { url: this._baseUrl, agent: this._keepAliveEnabledAgent }
+}
+
+/**
+ * Resolves the secret of a request from its `secret` option: a secret, a
+ * {@link Client~secretScope}, or nothing to use the secret of this client.
+ * @private
+ */
+Client.prototype._authSecret = function(secret, provided) {
+  var base = provided === undefined ? this._secret : provided
+
+  if (!secret) {
+    return scopes.scopedSecret(base, this._scope)
+  }
+
+  if (typeof secret === 'string') {
+    return secret
+  }
+
+  var opts = util.applyDefaults(secret, {
+    secret: null,
+    database: null,
+    role: null,
+    ref: null,
+  })
+  var scope = { role: opts.role, ref: opts.ref }
+
+  return opts.secret === null
+    ? scopes.scopedSecret(
+        base,
+        scopes.createScope(this._scope, opts.database, scope)
+      )
+    : scopes.scopedSecret(
+        opts.secret,
+        scopes.createScope(null, opts.database, scope)
+      )
+}
+
+/**
+ * Calls `fn` with the secret authenticating a request, as resolved by
+ * {@link Client#_authSecret}, and the secret of the `secretProvider` it is
+ * based on, or null. The provider is only called for requests without an
+ * explicit secret. Returns a promise.
+ * @private
+ */
+Client.prototype._withSecret = function(secret, fn) {
+  var self = this
+  var explicit =
+    typeof secret === 'string'
+      ? secret !== ''
+      : secret !== null && typeof secret === 'object' && secret.secret
+
+  if (this._secretProvider === null || explicit) {
+    var resolved
+
+    try {
+      resolved = this._authSecret(secret)
+    } catch (error) {
+      return Promise.reject(error)
+    }
+
+    return fn(resolved, null)
+  }
+
+  return this._secretProvider.get().then(function(provided) {
+    return fn(self._authSecret(secret, provided), provided)
+  })
+}
+
+/**
+ * Calls `fn` with the last seen transaction time, once read from the
+ * `txnTimeStore` of this client, and returns its result.
+ * @private
+ */
+Client.prototype._withLastTxnTime = function(fn) {
+  var self = this
+  var store = this._txnTimeStore
+
+  if (store === null) {
+    return fn(this.getLastTxnTime())
+  }
+
+  return new Promise(function(resolve) {
+    resolve(store.get())
+  }).then(function(stored) {
+    var root = self._root()
+
+    if (stored != null && (root._lastSeen == null || root._lastSeen < stored)) {
+      root._lastSeen = stored
+    }
+
+    return fn(root._lastSeen)
   })
 }
 
+Client.prototype._requestHeaders = function(secret, lastSeen) {
+  return util.removeNullAndUndefinedValues({
+    ...this._headers,
+    Authorization: secret && secretHeader(secret),
+    'X-FaunaDB-API-Version': APIVersion,
+    'X-Fauna-Driver': 'Javascript',
+    'X-Last-Seen-Txn': lastSeen,
+  })
+}
+
+/**
+ * Whether a request can be shared with identical concurrent requests.
+ * @private
+ */
+function canDedupe(body, data, options, headers) {
+  return (
+    body !== undefined &&
+    !options.signal &&
+    options.timeout === undefined &&
+    Object.keys(headers).length === 0 &&
+    fql.isReadOnly(data)
+  )
+}
+
+/**
+ * Whether the outcome of a request counts as a failure for the circuit
+ * breaker. Returns null for requests that were cancelled.
+ * @private
+ */
+function isCircuitFailure(error, networkFailure) {
+  if (error instanceof errors.RequestAborted) {
+    return error.timedOut ? true : null
+  }
+
+  return (
+    networkFailure ||
+    error instanceof errors.InternalError ||
+    error instanceof errors.UnavailableError
+  )
+}
+
+function isEndpointFailure(error, networkFailure) {
+  if (error instanceof errors.RequestAborted) {
+    return error.timedOut
+  }
+
+  return networkFailure || error instanceof errors.UnavailableError
+}
+
+function createAgent(scheme, agentOptions) {
+  return new (scheme === 'https' ? require('https') : require('http')).Agent(
+    agentOptions
+  )
+}
+
 function defaults(obj, def) {
   if (obj === undefined) {
     return def
@@ -250,6 +1497,78 @@ function secretHeader(secret) {
   return 'Basic ' + btoa(secret + ':')
 }
 
+/**
+ * Runs `request`, rejecting with {@link module:errors~RequestAborted} when
+ * `signal` fires or after `timeout` milliseconds, whichever comes first.
+ * The in-flight fetch is cancelled through `controller` when available.
+ * While the request runs, a function cancelling it with
+ * {@link module:errors~ClientClosed} is kept in each list of `cancelers`.
+ * @private
+ */
+function withAbort(signal, timeout, controller, cancelers, request) {
+  if (signal && signal.aborted) {
+    return Promise.reject(new errors.RequestAborted('Request aborted'))
+  }
+
+  return new Promise(function(resolve, reject) {
+    var timer = setTimeout(function() {
+      abort(
+        new errors.RequestAborted(
+          'Request timed out after ' + timeout + 'ms',
+          true
+        )
+      )
+    }, timeout)
+
+    function onAbort() {
+      abort(new errors.RequestAborted('Request aborted'))
+    }
+
+    function cancel() {
+      abort(new errors.ClientClosed())
+    }
+
+    function cleanup() {
+      clearTimeout(timer)
+      cancelers.forEach(function(list) {
+        if (list.indexOf(cancel) >= 0) {
+          list.splice(list.indexOf(cancel), 1)
+        }
+      })
+      if (signal) {
+        signal.removeEventListener('abort', onAbort)
+      }
+    }
+
+    function abort(error) {
+      cleanup()
+      if (controller) {
+        controller.abort()
+      }
+      reject(error)
+    }
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort)
+    }
+
+    cancelers.forEach(function(list) {
+      list.push(cancel)
+    })
+
+    request().then(
+      function(response) {
+        cleanup()
+        resolve(response)
+      },
+      function(error) {
+        cleanup()
+        reject(error)
+      }
+    )
+  })
+}
+
 function responseHeadersAsObject(response) {
   let headers = {}
 
@@ -1,5 +1,7 @@
 'use strict'
 
+var util = require('./_util')
+
 /**
  * A representation of a FaunaDB Query Expression. Generally, you shouldn't need
  * to use this class directly; use the Query helpers defined in {@link module:query}.
@@ -39,7 +41,9 @@ var varArgsFunctions = [
   'And',
   'Or',
 ]
+var noArgsFunctions = ['Identity', 'HasIdentity', 'Now', 'NextId', 'NewId']
 var specialCases = {
+  '@ref': 'ref',
   is_nonempty: 'is_non_empty',
   lt: 'LT',
   lte: 'LTE',
@@ -47,7 +51,14 @@ var specialCases = {
   gte: 'GTE',
 }
 
-var exprToString = function(expr, caller) {
+/**
+ * Builds the document printed by {@link Expr.toString}: either a string, a
+ * group of items between `open` and `close`, or an object entry. Groups keep
+ * their first `hug` items on the opening line when broken, and `align` pads
+ * the keys of their entries to the same width.
+ * @private
+ */
+var exprToDoc = function(expr, caller) {
   if (expr instanceof Expr) {
     if ('value' in expr) return expr.toString()
 
@@ -72,45 +83,43 @@ var exprToString = function(expr, caller) {
     return 'null'
   }
 
-  var printObject = function(obj) {
-    return (
-      '{' +
-      Object.keys(obj)
-        .map(function(k) {
-          return k + ': ' + exprToString(obj[k])
-        })
-        .join(', ') +
+  var objectDoc = function(obj) {
+    return group(
+      '{',
+      Object.keys(obj).map(function(k) {
+        return { key: printKey(k), value: exprToDoc(obj[k]) }
+      }),
       '}'
     )
   }
 
-  var printArray = function(array, toStr) {
-    return array
-      .map(function(item) {
-        return toStr(item)
-      })
-      .join(', ')
-  }
-
   if (Array.isArray(expr)) {
-    var array = printArray(expr, exprToString)
+    var items = expr.map(function(item) {
+      return exprToDoc(item)
+    })
 
-    return varArgsFunctions.indexOf(caller) != -1 ? array : '[' + array + ']'
+    // Spread into the arguments of the caller.
+    return varArgsFunctions.indexOf(caller) != -1
+      ? group('', items, '')
+      : group('[', items, ']')
   }
 
   if ('let' in expr && 'in' in expr) {
-    var letExpr = ''
+    var bindings = Array.isArray(expr['let'])
+      ? group('[', expr['let'].map(objectDoc), ']')
+      : objectDoc(expr['let'])
 
-    if (Array.isArray(expr['let']))
-      letExpr = '[' + printArray(expr['let'], printObject) + ']'
-    else letExpr = printObject(expr['let'])
+    bindings.align = true
 
-    return 'Let(' + letExpr + ', ' + exprToString(expr['in']) + ')'
+    return group('Let(', [bindings, exprToDoc(expr['in'])], ')')
   }
 
-  if ('object' in expr) return printObject(expr['object'])
+  if ('object' in expr) return objectDoc(expr['object'])
 
-  var keys = Object.keys(expr)
+  // Omitted optional arguments are undefined, and left out of the JSON too.
+  var keys = Object.keys(expr).filter(function(k) {
+    return expr[k] !== undefined
+  })
   var fn = keys[0]
 
   if (fn in specialCases) fn = specialCases[fn]
@@ -122,11 +131,23 @@ var exprToString = function(expr, caller) {
     })
     .join('')
 
+  if (noArgsFunctions.indexOf(fn) != -1) return fn + '()'
+
   var args = keys.map(function(k) {
     var v = expr[k]
-    return exprToString(v, fn)
+    return exprToDoc(v, fn)
   })
 
+  if (fn === 'Paginate' && keys.length > 1) {
+    var opts = {}
+
+    keys.slice(1).forEach(function(k) {
+      opts[k] = expr[k]
+    })
+
+    args = [args[0], objectDoc(opts)]
+  }
+
   var shouldReverseArgs = ['filter', 'map', 'foreach'].some(function(fn) {
     return fn in expr
   })
@@ -135,11 +156,285 @@ var exprToString = function(expr, caller) {
     args.reverse()
   }
 
-  args = args.join(', ')
+  args = args.reduce(function(out, arg) {
+    return out.concat(arg.open === '' ? arg.items : [arg])
+  }, [])
+
+  var doc = group(fn + '(', args, ')')
+
+  if (fn === 'Lambda') doc.hug = 1
+
+  return doc
+}
+
+// Quotes the keys that wouldn't parse back as names or numbers.
+function printKey(key) {
+  return /^([A-Za-z_$][\w$]*|\d+)$/.test(key) ? key : JSON.stringify(key)
+}
+
+function group(open, items, close) {
+  return { open: open, items: items, close: close, hug: 0, align: false }
+}
+
+function flat(doc) {
+  if (typeof doc === 'string') {
+    return doc
+  }
+
+  if ('key' in doc) {
+    var width = doc.width === undefined ? doc.key.length : doc.width
+
+    return doc.key + ':' + spaces(width - doc.key.length + 1) + flat(doc.value)
+  }
+
+  return doc.open + doc.items.map(flat).join(', ') + doc.close
+}
+
+/**
+ * Prints the document flat if it fits in the line, followed by `trail`
+ * characters, or breaks its items on lines of their own otherwise.
+ * @private
+ */
+function render(doc, options, indent, column, trail) {
+  var text = flat(doc)
+
+  if (
+    typeof doc === 'string' ||
+    column + text.length + trail <= options.maxWidth
+  ) {
+    return text
+  }
+
+  if ('key' in doc) {
+    var key = text.slice(0, text.length - flat(doc.value).length)
+
+    return key + render(doc.value, options, indent, column + key.length, trail)
+  }
+
+  if (doc.items.length <= doc.hug) {
+    return text
+  }
+
+  // Keeps single bindings, such as those of Let, on their opening line.
+  if (doc.items.length === 1 && entryOf(doc) === doc.items[0]) {
+    return (
+      doc.open +
+      render(
+        doc.items[0],
+        options,
+        indent,
+        column + doc.open.length,
+        trail + doc.close.length
+      ) +
+      doc.close
+    )
+  }
+
+  var inner = spaces(indent + options.indent)
+  var items = doc.items
+
+  if (doc.align) {
+    var width = items.reduce(function(max, item) {
+      return Math.max(max, entryOf(item) ? entryOf(item).key.length : 0)
+    }, 0)
+
+    items = items.map(function(item) {
+      return alignEntry(item, width)
+    })
+  }
+
+  var head = items.slice(0, doc.hug).map(flat)
+  var lines = items.slice(doc.hug).map(function(item, i, rest) {
+    var last = i === rest.length - 1
 
-  return fn + '(' + args + ')'
+    return (
+      inner +
+      render(item, options, inner.length, inner.length, last ? 0 : 1) +
+      (last ? '' : ',')
+    )
+  })
+
+  return (
+    doc.open +
+    head
+      .map(function(item) {
+        return item + ','
+      })
+      .join(' ') +
+    '\n' +
+    lines.join('\n') +
+    '\n' +
+    spaces(indent) +
+    doc.close
+  )
+}
+
+function entryOf(item) {
+  if (typeof item === 'string') return null
+  if ('key' in item) return item
+  return item.items.length === 1 ? entryOf(item.items[0]) : null
+}
+
+function alignEntry(item, width) {
+  if (typeof item === 'string') return item
+  if ('key' in item) {
+    return { key: item.key, value: item.value, width: width }
+  }
+
+  var aligned = group(
+    item.open,
+    item.items.map(function(entry) {
+      return alignEntry(entry, width)
+    }),
+    item.close
+  )
+
+  return item.items.length === 1 ? aligned : item
 }
 
-Expr.toString = exprToString
+function spaces(count) {
+  return new Array(count + 1).join(' ')
+}
+
+/**
+ * Prints an expression as FQL, which {@link Expr.parse} reads back.
+ *
+ * ```
+ * Expr.toString(q.Map(q.Paginate(q.Collections()), q.Lambda('x', q.Get(q.Var('x')))), {
+ *   pretty: true,
+ *   maxWidth: 40,
+ * })
+ * // Map(
+ * //   Paginate(Collections()),
+ * //   Lambda("x",
+ * //     Get(Var("x"))
+ * //   )
+ * // )
+ * ```
+ *
+ * @param {Expr} expr The expression to print.
+ * @param {?Object} options
+ * @param {?boolean} options.pretty
+ *   Breaks the expressions that don't fit in `maxWidth` on several lines.
+ *   Defaults to false, printing a single line.
+ * @param {?number} options.indent
+ *   Spaces per level of indentation. Defaults to 2.
+ * @param {?number} options.maxWidth
+ *   Width of the lines of pretty output. Defaults to 80.
+ * @return {string}
+ */
+Expr.toString = function(expr, options) {
+  options = util.applyDefaults(options, {
+    pretty: false,
+    indent: 2,
+    maxWidth: 80,
+  })
+
+  var doc = exprToDoc(expr)
+
+  return options.pretty ? render(doc, options, 0, 0, 0) : flat(doc)
+}
+
+/**
+ * Parses FQL, such as the output of {@link Expr.toString} or a query
+ * written in the dashboard shell, into the expression the functions of
+ * {@link module:query} would build.
+ *
+ * ```
+ * Expr.parse('Map(Paginate(Collections()), Lambda("x", Get(Var("x"))))')
+ * // Same as q.Map(q.Paginate(q.Collections()), q.Lambda('x', q.Get(q.Var('x'))))
+ * ```
+ *
+ * @param {string} fql The FQL text.
+ * @return {Expr} The expression, or the value of a literal.
+ * @throws {module:errors~ParseError} When the text is not valid FQL.
+ */
+Expr.parse = function(fql) {
+  return require('./_parser').parse(fql)
+}
+
+/**
+ * A node of an expression, as given to {@link Expr.walk} and
+ * {@link Expr.transform}. Its `type` is one of:
+ *
+ * - `call`: a function call, such as `Map`, with the wire `name` of the
+ *   function and its `args` by wire name, such as `{ map, collection }`.
+ * - `object`: an object literal, with its `fields`.
+ * - `array`: an array literal, with its `items`.
+ * - `let`: a `Let`, with its `bindings` as an array of
+ *   `{ name, value, path }`, the path being relative to the `Let`, and its
+ *   `body`.
+ * - `lambda`: a `Lambda`, with its `params`, a name or an array of names,
+ *   and its `body`.
+ * - `value`: a value of {@link module:values}, such as a `Ref`.
+ * - `literal`: a string, number, boolean or null `value`.
+ *
+ * @typedef {Object} Expr~Node
+ * @property {string} type
+ * @property {*} expr The expression of the node.
+ */
+
+/**
+ * Calls `visitor` with every node of an expression, parents first, along
+ * with the path of the node: the keys leading to it in the JSON of the
+ * expression. Returning false from `visitor` skips the children of a node.
+ *
+ * ```
+ * Expr.walk(query, function(node, path) {
+ *   if (node.type === 'call' && node.name === 'collection') {
+ *     console.log(path, node.args.collection)
+ *   }
+ * })
+ * ```
+ *
+ * @param {module:query~ExprArg} expr
+ * @param {function(Expr~Node, Array<string|number>): ?boolean} visitor
+ */
+Expr.walk = function(expr, visitor) {
+  require('./_walk').walk(wrap(expr), visitor, [])
+}
+
+/**
+ * Rewrites an expression. `fn` is called with every node of the expression,
+ * children first, and its path as in {@link Expr.walk}. It returns the
+ * replacement of the node, or undefined to keep it. The nodes it is called
+ * with already hold the replacements of their children.
+ *
+ * The expression given isn't modified: the expressions containing
+ * replacements are copied.
+ *
+ * ```
+ * // Scopes collections to the database of a tenant.
+ * Expr.transform(query, function(node) {
+ *   if (node.type === 'call' && node.name === 'collection') {
+ *     return q.Collection(node.args.collection, q.Database(tenant))
+ *   }
+ * })
+ * ```
+ *
+ * @param {module:query~ExprArg} expr
+ * @param {function(Expr~Node, Array<string|number>): *} fn
+ * @return {Expr} The rewritten expression.
+ */
+Expr.transform = function(expr, fn) {
+  return require('./_walk').transform(
+    wrap(expr),
+    function(node, path) {
+      var replacement = fn(node, path)
+      return replacement === undefined ? undefined : wrap(replacement)
+    },
+    []
+  )
+}
+
+/**
+ * Wraps a value as an expression with {@link module:query~wrap}. The query
+ * module, like the parser and the walker, depends on this one, so they are
+ * required once loaded.
+ * @private
+ */
+function wrap(value) {
+  return require('./query').wrap(value)
+}
 
 module.exports = Expr
@@ -1,5 +1,6 @@
 'use strict'
 
+var errors = require('./errors')
 var query = require('./query')
 var objectAssign = require('object-assign')
 
@@ -46,6 +47,8 @@ var objectAssign = require('object-assign')
  * @param {?Object} options
  *   Object that configures the current pagination, overriding FaunaDB client options.
  * @param {?string} options.secret FaunaDB secret (see [Reference Documentation](https://app.fauna.com/documentation/intro/security))
+ * @param {?AbortSignal} options.signal
+ *   Cancels the pagination; no further pages are fetched once it fires.
  * @constructor
  */
 function PageHelper(client, set, params, options) {
@@ -126,6 +129,8 @@ PageHelper.prototype.filter = function(lambda) {
 
 /**
  * Executes the provided function for each page.
+ * Pages are fetched one at a time with {@link Client#query}, so they wait
+ * for the concurrency and rate limits of the client like any other query.
  *
  * @param {PageHelper~eachFunction} lambda
  *   A function to be executed for each page.
@@ -211,6 +216,10 @@ PageHelper.prototype._consumePages = function(lambda, reverse) {
     }
 
     if (nextCursor !== undefined) {
+      if (self.options.signal && self.options.signal.aborted) {
+        return Promise.reject(new errors.RequestAborted('Request aborted'))
+      }
+
       return self
         ._retrieveNextPage(nextCursor, reverse)
         .then(self._consumePages(lambda, reverse))
@@ -261,6 +270,8 @@ PageHelper.prototype._clone = function() {
   return Object.create(PageHelper.prototype, {
     client: { value: this.client },
     set: { value: this.set },
+    params: { value: this.params },
+    options: { value: this.options },
     _faunaFunctions: { value: this._faunaFunctions },
     before: { value: this.before },
     after: { value: this.after },
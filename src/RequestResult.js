@@ -1,5 +1,21 @@
 'use strict'
 
+var util = require('./_util')
+
+var metricHeaders = {
+  'x-compute-ops': 'computeOps',
+  'x-byte-read-ops': 'byteReadOps',
+  'x-byte-write-ops': 'byteWriteOps',
+  'x-read-ops': 'readOps',
+  'x-write-ops': 'writeOps',
+  'x-query-time': 'queryTime',
+  'x-query-bytes-in': 'queryBytesIn',
+  'x-query-bytes-out': 'queryBytesOut',
+  'x-storage-bytes-read': 'storageBytesRead',
+  'x-storage-bytes-write': 'storageBytesWrite',
+  'x-txn-retries': 'txnRetries',
+}
+
 /**
  * A structure containing the request and response context for a given FaunaDB request.
  * Provided to an observer function optionally defined in the {@link Client} constructor.
@@ -76,13 +92,106 @@ function RequestResult(
   /** @type {object} */
   this.responseHeaders = responseHeaders
 
+  /**
+   * Query cost metrics reported in the response headers, such as
+   * `computeOps`, `readOps`, `writeOps` or `storageBytesRead`.
+   * Metrics missing from the response are omitted.
+   * @type {RequestResult~metrics}
+   */
+  this.metrics = parseMetrics(responseHeaders)
+
   /** @type {number} */
   this.startTime = startTime
 
   /** @type {number} */
   this.endTime = endTime
+
+  /**
+   * The attempt number of this request, starting at 1.
+   * Greater than 1 when the request was retried by the {@link Client}.
+   * @type {number}
+   */
+  this.attempt = 1
+
+  /**
+   * Base URL of the FaunaDB endpoint that served the request.
+   * @type {string}
+   */
+  this.endpoint = null
+
+  /**
+   * The key under which the request was shared with identical concurrent
+   * queries, when the `dedupe` option of the {@link Client} is enabled.
+   * Null when the request was not eligible.
+   * @type {?string}
+   */
+  this.dedupeKey = null
+
+  /**
+   * Time in milliseconds the request waited for the concurrency and rate
+   * limits of the {@link Client}.
+   * @type {number}
+   */
+  this.queueWait = 0
+
+  /**
+   * Number of requests waiting for the limits of the {@link Client} when
+   * the request was queued.
+   * @type {number}
+   */
+  this.queueDepth = 0
+
+  /**
+   * The change of state of the circuit breaker of the {@link Client} caused
+   * by this request, such as `{ from: 'closed', to: 'open' }`, or null.
+   * @type {?{from: string, to: string}}
+   */
+  this.circuitTransition = null
+
+  /**
+   * Size of the request body in bytes, before compression.
+   * @type {number}
+   */
+  this.requestBytes = byteLength(requestRaw)
+
+  /**
+   * Size of the request body in bytes as sent, when it was compressed
+   * through the `compression` option of the {@link Client}. Null otherwise.
+   * @type {?number}
+   */
+  this.compressedRequestBytes = null
+
+  /**
+   * Size of the response body in bytes, after decompression.
+   * @type {number}
+   */
+  this.responseBytes = byteLength(responseRaw)
+
+  /**
+   * Size of the response body in bytes as received, when it was compressed.
+   * Null otherwise, or when the runtime does not report it.
+   * @type {?number}
+   */
+  this.compressedResponseBytes = null
 }
 
+/**
+ * Query cost metrics parsed from the response headers.
+ *
+ * @typedef {Object} RequestResult~metrics
+ * @property {?number} computeOps
+ * @property {?number} byteReadOps
+ * @property {?number} byteWriteOps
+ * @property {?number} readOps
+ * @property {?number} writeOps
+ * @property {?number} queryTime Server side query time in milliseconds.
+ * @property {?number} queryBytesIn
+ * @property {?number} queryBytesOut
+ * @property {?number} storageBytesRead
+ * @property {?number} storageBytesWrite
+ * @property {?number} txnRetries
+ */
+
 /**
  * `this.endTime - this.startTime`: Time taken in milliseconds.
  * @type {number}
@@ -93,4 +202,22 @@ Object.defineProperty(RequestResult.prototype, 'timeTaken', {
   },
 })
 
+function parseMetrics(headers) {
+  var metrics = {}
+
+  Object.keys(metricHeaders).forEach(function(header) {
+    var value = headers ? parseInt(headers[header], 10) : NaN
+
+    if (!isNaN(value)) {
+      metrics[metricHeaders[header]] = value
+    }
+  })
+
+  return metrics
+}
+
+function byteLength(raw) {
+  return typeof raw === 'string' ? util.byteLength(raw) : 0
+}
+
 module.exports = RequestResult
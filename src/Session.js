@@ -0,0 +1,178 @@
+'use strict'
+
+var errors = require('./errors')
+var query = require('./query')
+
+/**
+ * A logged in session: a token obtained with `Login`, and a {@link Client}
+ * authenticated with it.
+ *
+ * Generally this is constructed through the {@link Client#login} method.
+ *
+ * Queries of the session client fail with {@link module:errors~TokenExpired}
+ * once the token expired, by the clock of this process or by the one of
+ * FaunaDB, and {@link Session#refresh} issues a new one.
+ *
+ * @param {Client} parent
+ *   The client that logged in, used to refresh the token.
+ * @param {Object} token The token document returned by `Login`.
+ * @param {?Object} options
+ * @param {?number} options.ttl
+ *   Lifetime of the tokens in seconds. They don't expire by default.
+ * @param {?Object} options.data Data stored in the tokens.
+ * @constructor
+ */
+function Session(parent, token, options) {
+  var self = this
+
+  this._parent = parent
+  this._ttl = options && options.ttl !== undefined ? options.ttl : null
+  this._data = options && options.data !== undefined ? options.data : null
+
+  /**
+   * A client authenticated with the token of this session. It shares the
+   * connections, observer and last seen transaction time of its parent.
+   * @type {Client}
+   */
+  this.client = parent._bind(token.secret).use(function(ctx, next) {
+    return next().catch(function(error) {
+      if (
+        error instanceof errors.Unauthorized &&
+        (self.isExpired() || self._expiredBy(error.requestResult))
+      ) {
+        throw new errors.TokenExpired(error.requestResult)
+      }
+
+      throw error
+    })
+  })
+
+  this._setToken(token)
+}
+
+/**
+ * Whether the token of this session expired.
+ * @return {boolean}
+ */
+Session.prototype.isExpired = function() {
+  return this.expiresAt !== null && Date.now() >= this.expiresAt.getTime()
+}
+
+/**
+ * Replaces the token of this session with a new one for the same identity,
+ * with the `ttl` and `data` given at login. The previous token is deleted.
+ *
+ * The tokens are created and deleted by the parent client, which needs a
+ * server or admin key, or a role allowed to write the `Tokens()` of the
+ * identity. Otherwise the refresh fails with
+ * {@link module:errors~PermissionDenied}, and the session keeps its token.
+ *
+ * @return {external:Promise<Session>} This session.
+ */
+Session.prototype.refresh = function() {
+  var self = this
+  var params = { instance: this.identity }
+
+  if (this._ttl !== null) {
+    params.ttl = expiry(this._ttl)
+  }
+
+  if (this._data !== null) {
+    params.data = this._data
+  }
+
+  return this._parent
+    .query(
+      query.Do(
+        query.If(query.Exists(this.token), query.Delete(this.token), null),
+        query.Create(query.Tokens(), params)
+      )
+    )
+    .then(function(token) {
+      self.client._secret = token.secret
+      self._setToken(token)
+      return self
+    })
+}
+
+/**
+ * Logs out, deleting the token of this session, and closes its client.
+ *
+ * @param {?Object} options
+ * @param {?boolean} options.allTokens
+ *   Deletes every token of the identity instead. Defaults to false.
+ * @return {external:Promise<boolean>} The result of `Logout`.
+ */
+Session.prototype.logout = function(options) {
+  var allTokens = Boolean(options && options.allTokens)
+  var client = this.client
+
+  return client.query(query.Logout(allTokens)).then(function(result) {
+    return client.close().then(function() {
+      return result
+    })
+  })
+}
+
+/**
+ * Whether the token expired by the clock of FaunaDB when it sent a response,
+ * as the clock of this process may be late.
+ * @private
+ */
+Session.prototype._expiredBy = function(requestResult) {
+  if (this.expiresAt === null || !requestResult) {
+    return false
+  }
+
+  var headers = requestResult.responseHeaders
+  // Transaction times are in microseconds.
+  var time = headers['x-txn-time']
+    ? parseInt(headers['x-txn-time'], 10) / 1000
+    : Date.parse(headers['date'])
+
+  return time >= this.expiresAt.getTime()
+}
+
+Session.prototype._setToken = function(token) {
+  /**
+   * The ref of the token of this session.
+   * @type {Ref}
+   */
+  this.token = token.ref
+
+  /**
+   * The ref of the document that logged in, as returned by `Identity()`.
+   * @type {Ref}
+   */
+  this.identity = token.instance
+
+  /**
+   * When the token expires, or null if it doesn't.
+   * @type {?Date}
+   */
+  this.expiresAt = token.ttl ? token.ttl.date : null
+}
+
+/**
+ * The `Login` parameters of a session.
+ * @private
+ */
+Session.loginParams = function(password, options) {
+  var params = { password: password }
+
+  if (options && options.ttl !== undefined) {
+    params.ttl = expiry(options.ttl)
+  }
+
+  if (options && options.data !== undefined) {
+    params.data = options.data
+  }
+
+  return params
+}
+
+function expiry(ttl) {
+  return query.TimeAdd(query.Now(), ttl, 'seconds')
+}
+
+module.exports = Session
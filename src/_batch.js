@@ -0,0 +1,149 @@
+'use strict'
+
+var errors = require('./errors')
+var query = require('./query')
+var util = require('./_util')
+
+/**
+ * Gathers the queries issued within a time window into a single array
+ * query, resolving each caller with its own element of the result.
+ *
+ * Queries sent together run in the same transaction. If one expression
+ * aborts it, with a BadRequest, a PermissionDenied or a NotFound error,
+ * nothing was committed and every expression of the batch is sent again on
+ * its own, so each caller gets its own result or error. Any other failure
+ * rejects every query of the batch.
+ *
+ * Queries with different secrets are never batched together.
+ *
+ * @param {Client} client
+ * @param {Object} options
+ * @param {?number} options.maxSize
+ *   Maximum number of expressions per batch. Defaults to 100.
+ * @param {?number} options.windowMs
+ *   Time in milliseconds to wait for more queries. Defaults to 0, which
+ *   gathers the queries issued in the same tick.
+ * @constructor
+ * @private
+ */
+function Batcher(client, options) {
+  var opts = util.applyDefaults(options === true ? {} : options, {
+    maxSize: 100,
+    windowMs: 0,
+  })
+
+  this._client = client
+  this._maxSize = opts.maxSize
+  this._windowMs = opts.windowMs
+  this._batches = {}
+}
+
+/**
+ * Whether a query with the given options can be batched. Only the `secret`
+ * option can be honored by a batch, when given as a string.
+ * @private
+ */
+Batcher.isBatchable = function(options) {
+  if (options === undefined || options === null) {
+    return true
+  }
+
+  return Object.keys(options).every(function(key) {
+    return key === 'secret' && typeof options.secret === 'string'
+  })
+}
+
+Batcher.prototype.add = function(expression, options) {
+  var self = this
+  var secret = (options && options.secret) || ''
+  var batch = this._batches[secret]
+
+  if (batch === undefined) {
+    batch = { options: options, items: [], timer: null }
+    batch.timer = setTimeout(function() {
+      self._flush(secret, batch)
+    }, this._windowMs)
+    this._batches[secret] = batch
+  }
+
+  return new Promise(function(resolve, reject) {
+    batch.items.push({
+      expression: expression,
+      resolve: resolve,
+      reject: reject,
+    })
+
+    if (batch.items.length >= self._maxSize) {
+      self._flush(secret, batch)
+    }
+  })
+}
+
+/**
+ * Sends every pending batch right away.
+ * @private
+ */
+Batcher.prototype.flush = function() {
+  var self = this
+
+  Object.keys(this._batches).forEach(function(secret) {
+    self._flush(secret, self._batches[secret])
+  })
+}
+
+Batcher.prototype._flush = function(secret, batch) {
+  clearTimeout(batch.timer)
+
+  if (this._batches[secret] === batch) {
+    delete this._batches[secret]
+  }
+
+  var self = this
+  var items = batch.items
+
+  if (items.length === 1) {
+    this._sendOne(items[0], batch.options)
+    return
+  }
+
+  var expressions = items.map(function(item) {
+    return item.expression
+  })
+
+  this._client
+    ._execute('POST', '', query.wrap(expressions), null, batch.options)
+    .then(
+      function(results) {
+        items.forEach(function(item, i) {
+          item.resolve(results[i])
+        })
+      },
+      function(error) {
+        if (isTransactionAborted(error)) {
+          items.forEach(function(item) {
+            self._sendOne(item, batch.options)
+          })
+        } else {
+          items.forEach(function(item) {
+            item.reject(error)
+          })
+        }
+      }
+    )
+}
+
+function isTransactionAborted(error) {
+  return (
+    error instanceof errors.BadRequest ||
+    error instanceof errors.PermissionDenied ||
+    error instanceof errors.NotFound
+  )
+}
+
+Batcher.prototype._sendOne = function(item, options) {
+  this._client
+    ._execute('POST', '', query.wrap(item.expression), null, options)
+    .then(item.resolve, item.reject)
+}
+
+module.exports = Batcher
@@ -0,0 +1,160 @@
+'use strict'
+
+var util = require('./_util')
+
+/**
+ * Number of state changes kept until requests report them.
+ * @private
+ */
+var maxUnreported = 4
+
+/**
+ * A circuit breaker for the requests of a {@link Client}.
+ *
+ * While `closed`, the outcomes of the last requests are recorded, and the
+ * circuit opens once enough of them failed. While `open`, requests fail
+ * fast. After `resetTimeout`, the circuit is `half-open` and the client is
+ * pinged: the circuit closes if the ping succeeds, and opens again if not.
+ *
+ * @param {Client} client
+ * @param {Object} options
+ * @param {?number} options.failureRatio
+ *   Ratio of failed requests that opens the circuit. Defaults to 0.5.
+ * @param {?number} options.minimumRequests
+ *   Number of recorded requests below which the circuit stays closed.
+ *   Defaults to 10.
+ * @param {?number} options.windowSize
+ *   Number of most recent requests recorded. Defaults to 20.
+ * @param {?number} options.resetTimeout
+ *   Time in milliseconds before an open circuit is probed. Defaults to 10000.
+ * @constructor
+ * @private
+ */
+function CircuitBreaker(client, options) {
+  var opts = util.applyDefaults(options === true ? {} : options, {
+    failureRatio: 0.5,
+    minimumRequests: 10,
+    windowSize: 20,
+    resetTimeout: 10000,
+  })
+
+  this._client = client
+  this._failureRatio = opts.failureRatio
+  this._minimumRequests = opts.minimumRequests
+  this._windowSize = opts.windowSize
+  this._resetTimeout = opts.resetTimeout
+  this._outcomes = []
+  this._timer = null
+  this._stopped = false
+  this._admitProbe = false
+  this._transitions = []
+  this.state = 'closed'
+}
+
+/**
+ * Whether a request can be sent. While half-open, only the probe is.
+ * @private
+ */
+CircuitBreaker.prototype.allow = function() {
+  if (this.state === 'closed') {
+    return true
+  }
+
+  if (this.state === 'half-open' && this._admitProbe) {
+    this._admitProbe = false
+    return true
+  }
+
+  return false
+}
+
+/**
+ * Records the outcome of a request: true if it failed, false if it
+ * succeeded, or null if it should not count. Returns the oldest state change
+ * not reported yet, as `{ from, to }`, or null. A probe can change the state
+ * twice, when the timer makes the circuit half-open and with its outcome, so
+ * the second change is reported by the next request.
+ * @private
+ */
+CircuitBreaker.prototype.record = function(failed) {
+  this._record(failed)
+
+  return this._transitions.length > 0 ? this._transitions.shift() : null
+}
+
+CircuitBreaker.prototype._record = function(failed) {
+  if (this.state === 'half-open') {
+    if (failed === null) {
+      // The probe didn't tell, let the next request probe again.
+      this._admitProbe = true
+    } else {
+      this._transition(failed ? 'open' : 'closed')
+    }
+    return
+  }
+
+  if (failed === null || this.state === 'open') {
+    return
+  }
+
+  this._outcomes.push(failed)
+
+  if (this._outcomes.length > this._windowSize) {
+    this._outcomes.shift()
+  }
+
+  var failures = this._outcomes.filter(function(outcome) {
+    return outcome
+  }).length
+
+  if (
+    this._outcomes.length >= this._minimumRequests &&
+    failures / this._outcomes.length >= this._failureRatio
+  ) {
+    this._transition('open')
+  }
+}
+
+/**
+ * Stops probing an open circuit.
+ * @private
+ */
+CircuitBreaker.prototype.stop = function() {
+  this._stopped = true
+  clearTimeout(this._timer)
+  this._timer = null
+}
+
+CircuitBreaker.prototype._transition = function(state) {
+  this._transitions.push({ from: this.state, to: state })
+  this.state = state
+  this._outcomes = []
+
+  // Without requests, only the latest changes are worth reporting.
+  if (this._transitions.length > maxUnreported) {
+    this._transitions.shift()
+  }
+
+  if (state === 'open') {
+    this._scheduleProbe()
+  }
+}
+
+CircuitBreaker.prototype._scheduleProbe = function() {
+  var self = this
+
+  if (this._stopped) {
+    return
+  }
+
+  this._timer = setTimeout(function() {
+    self._timer = null
+    self._transition('half-open')
+    self._admitProbe = true
+    self._client.ping('node').catch(function() {})
+  }, this._resetTimeout)
+
+  util.unrefTimer(this._timer)
+}
+
+module.exports = CircuitBreaker
@@ -0,0 +1,167 @@
+'use strict'
+
+var errors = require('./errors')
+var util = require('./_util')
+
+var isNodeEnv = typeof window === 'undefined'
+var encodings = ['gzip', 'deflate']
+
+/**
+ * Normalizes the `compression` option of a {@link Client}: `true`, an
+ * encoding, or an object with an `encoding` and a `threshold` in bytes
+ * below which request bodies are sent as is. Returns null when disabled.
+ * @private
+ */
+function parseOptions(compression) {
+  if (compression === null || compression === false) {
+    return null
+  }
+
+  var opts = util.applyDefaults(
+    typeof compression === 'object'
+      ? compression
+      : compression === true
+      ? {}
+      : { encoding: compression },
+    { encoding: 'gzip', threshold: 1024 }
+  )
+
+  if (encodings.indexOf(opts.encoding) < 0) {
+    throw new errors.InvalidValue(
+      'Compression encoding must be gzip or deflate, got: ' + opts.encoding
+    )
+  }
+
+  return opts
+}
+
+/**
+ * Value of the `Accept-Encoding` request header.
+ * @private
+ */
+var acceptEncoding = encodings.join(', ')
+
+/**
+ * Compresses a request body. Resolves to null when it is below the
+ * threshold, or when the runtime cannot compress.
+ * @private
+ */
+function compress(body, opts) {
+  if (typeof body !== 'string' || util.byteLength(body) < opts.threshold) {
+    return Promise.resolve(null)
+  }
+
+  if (isNodeEnv) {
+    return zlib(opts.encoding === 'gzip' ? 'gzip' : 'deflate', body)
+  }
+
+  if (typeof CompressionStream === 'undefined') {
+    return Promise.resolve(null)
+  }
+
+  return pipe(
+    new Blob([body]),
+    new CompressionStream(opts.encoding)
+  )
+}
+
+/**
+ * Reads the body of a response, decoding it when the runtime did not.
+ * Resolves to `{ text, compressedBytes }`, where `compressedBytes` is the
+ * size of the body as received, or null when it was not compressed or its
+ * size is unknown.
+ * @private
+ */
+function readResponse(response) {
+  var encoding = (response.headers.get('content-encoding') || '')
+    .trim()
+    .toLowerCase()
+
+  if (
+    encodings.indexOf(encoding) < 0 ||
+    typeof response.arrayBuffer !== 'function'
+  ) {
+    return response.text().then(function(text) {
+      return { text: text, compressedBytes: null }
+    })
+  }
+
+  return response.arrayBuffer().then(function(buffer) {
+    var bytes = new Uint8Array(buffer)
+
+    if (!isCompressed(bytes)) {
+      // Browsers decode responses themselves, and report their size as
+      // received in Content-Length.
+      var length = parseInt(response.headers.get('content-length'), 10)
+
+      return {
+        text: decodeText(bytes),
+        compressedBytes: isNaN(length) ? null : length,
+      }
+    }
+
+    return decompress(bytes, encoding).then(function(text) {
+      return { text: text, compressedBytes: bytes.length }
+    })
+  })
+}
+
+/**
+ * Whether `bytes` start with a gzip or zlib header. JSON bodies never do.
+ * @private
+ */
+function isCompressed(bytes) {
+  if (bytes.length < 2) {
+    return false
+  }
+
+  var isGzip = bytes[0] === 0x1f && bytes[1] === 0x8b
+  var isZlib =
+    (bytes[0] & 0x0f) === 8 && ((bytes[0] << 8) | bytes[1]) % 31 === 0
+
+  return isGzip || isZlib
+}
+
+function decompress(bytes, encoding) {
+  if (isNodeEnv) {
+    return zlib('unzip', bytes).then(decodeText)
+  }
+
+  return pipe(
+    new Blob([bytes]),
+    new DecompressionStream(encoding)
+  ).then(decodeText)
+}
+
+function zlib(method, input) {
+  return new Promise(function(resolve, reject) {
+    require('zlib')[method](input, function(error, output) {
+      if (error) {
+        reject(error)
+      } else {
+        resolve(output)
+      }
+    })
+  })
+}
+
+function pipe(blob, transform) {
+  return new Response(blob.stream().pipeThrough(transform))
+    .arrayBuffer()
+    .then(function(buffer) {
+      return new Uint8Array(buffer)
+    })
+}
+
+function decodeText(bytes) {
+  return typeof Buffer === 'undefined'
+    ? new TextDecoder().decode(bytes)
+    : Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length).toString()
+}
+
+module.exports = {
+  parseOptions: parseOptions,
+  acceptEncoding: acceptEncoding,
+  compress: compress,
+  readResponse: readResponse,
+}
@@ -0,0 +1,184 @@
+'use strict'
+
+var errors = require('./errors')
+var parse = require('url-parse')
+var util = require('./_util')
+
+/**
+ * Client options that can be given as query parameters of a connection
+ * string, with their type.
+ * @private
+ */
+var urlOptions = {
+  timeout: 'number',
+  keepAlive: 'boolean',
+  healthCheckInterval: 'number',
+  maxSockets: 'number',
+  maxFreeSockets: 'number',
+  socketTimeout: 'number',
+  dedupe: 'boolean',
+  maxConcurrentQueries: 'number',
+  queueTimeout: 'number',
+}
+
+var redacted = '<redacted>'
+
+/**
+ * Parses a connection string such as
+ * `https://secret@db.fauna.com:443?timeout=30&keepAlive=false` into
+ * {@link Client} options. URLs with a path are rejected, as the client
+ * always sends requests to the root of the endpoint.
+ * @private
+ */
+function parseURL(url) {
+  var parsed = parse(url, {}, true)
+  var scheme = parsed.protocol.replace(/:$/, '')
+
+  if (parsed.hostname === '') {
+    throw new errors.InvalidValue('Invalid FaunaDB URL: ' + redactURL(url))
+  }
+
+  if (parsed.pathname !== '' && parsed.pathname !== '/') {
+    throw new errors.InvalidValue(
+      'FaunaDB URLs cannot have a path: ' + redactURL(url)
+    )
+  }
+
+  var options = {
+    scheme: parseScheme(scheme),
+    domain: parsed.hostname,
+  }
+
+  if (parsed.port !== '') {
+    options.port = parseOption('port', parsed.port, 'number')
+  }
+
+  // The colons of scoped secrets, such as `secret:db:role`, split the user
+  // name from the password.
+  if (parsed.auth !== '') {
+    options.secret = parsed.auth
+      .split(':')
+      .map(decodeURIComponent)
+      .join(':')
+  }
+
+  var params = util.applyDefaults(
+    parsed.query,
+    Object.keys(urlOptions).reduce(function(defaults, name) {
+      defaults[name] = undefined
+      return defaults
+    }, {})
+  )
+
+  Object.keys(urlOptions).forEach(function(name) {
+    if (params[name] !== undefined) {
+      options[name] = parseOption(name, params[name], urlOptions[name])
+    }
+  })
+
+  return options
+}
+
+/**
+ * Reads {@link Client} options from the `FAUNA_SECRET`, `FAUNA_DOMAIN`,
+ * `FAUNA_SCHEME`, `FAUNA_PORT` and `FAUNA_TIMEOUT` variables of `env`.
+ * Variables that are not set are left to their defaults.
+ * @private
+ */
+function fromEnv(env) {
+  var options = {}
+
+  if (env.FAUNA_SECRET) {
+    options.secret = env.FAUNA_SECRET
+  }
+
+  if (env.FAUNA_DOMAIN) {
+    options.domain = env.FAUNA_DOMAIN
+  }
+
+  if (env.FAUNA_SCHEME) {
+    options.scheme = parseScheme(env.FAUNA_SCHEME)
+  }
+
+  if (env.FAUNA_PORT) {
+    options.port = parseOption('FAUNA_PORT', env.FAUNA_PORT, 'number')
+  }
+
+  if (env.FAUNA_TIMEOUT) {
+    options.timeout = parseOption('FAUNA_TIMEOUT', env.FAUNA_TIMEOUT, 'number')
+  }
+
+  return options
+}
+
+/**
+ * Formats {@link Client} options as a connection string, with the secret
+ * redacted. Only the options that differ from `defaults` are included.
+ * @private
+ */
+function formatURL(options, defaults) {
+  var params = Object.keys(urlOptions)
+    .filter(function(name) {
+      return (
+        options[name] !== undefined &&
+        options[name] !== null &&
+        options[name] !== defaults[name]
+      )
+    })
+    .map(function(name) {
+      return name + '=' + encodeURIComponent(options[name])
+    })
+
+  return (
+    options.scheme +
+    '://' +
+    (options.secret ? redacted + '@' : '') +
+    options.domain +
+    ':' +
+    options.port +
+    (params.length > 0 ? '?' + params.join('&') : '')
+  )
+}
+
+/**
+ * Replaces the secret of a connection string.
+ * @private
+ */
+function redactURL(url) {
+  return String(url).replace(/^([^:/]*:\/\/)[^@/]*@/, '$1' + redacted + '@')
+}
+
+function parseScheme(scheme) {
+  if (scheme !== 'http' && scheme !== 'https') {
+    throw new errors.InvalidValue(
+      'Scheme must be http or https, got: ' + scheme
+    )
+  }
+
+  return scheme
+}
+
+function parseOption(name, value, type) {
+  if (type === 'boolean') {
+    if (value !== 'true' && value !== 'false') {
+      throw new errors.InvalidValue(name + ' must be true or false')
+    }
+
+    return value === 'true'
+  }
+
+  var number = Number(value)
+
+  if (value === '' || isNaN(number)) {
+    throw new errors.InvalidValue(name + ' must be a number')
+  }
+
+  return number
+}
+
+module.exports = {
+  parseURL: parseURL,
+  fromEnv: fromEnv,
+  formatURL: formatURL,
+  redactURL: redactURL,
+}
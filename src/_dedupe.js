@@ -0,0 +1,74 @@
+'use strict'
+
+/**
+ * Shares one request between concurrent identical read queries.
+ *
+ * Requests are identified by their body and secret. Secrets are replaced by
+ * a number in the keys, so keys can be logged; the number of a secret is
+ * forgotten once none of its requests is in flight.
+ *
+ * @constructor
+ * @private
+ */
+function Deduplicator() {
+  this._pending = new Map()
+  this._secretIds = new Map()
+  this._lastSecretId = 0
+}
+
+/**
+ * Returns the key of a request, and the promise of its in-flight response:
+ * the one of an identical request when there is one, or else the one
+ * returned by `request`.
+ * @private
+ */
+Deduplicator.prototype.run = function(secret, body, request) {
+  var self = this
+  var secretId = this._secretIds.get(secret)
+
+  if (secretId === undefined) {
+    secretId = ++this._lastSecretId
+    this._secretIds.set(secret, secretId)
+  }
+
+  var key = secretId + ':' + body
+  var pending = this._pending.get(key)
+
+  if (pending === undefined) {
+    var done = function() {
+      self._pending.delete(key)
+      self._forgetSecret(secret)
+    }
+
+    pending = {
+      secret: secret,
+      promise: request().then(
+        function(response) {
+          done()
+          return response
+        },
+        function(error) {
+          done()
+          throw error
+        }
+      ),
+    }
+    this._pending.set(key, pending)
+  }
+
+  return { key: key, promise: pending.promise }
+}
+
+Deduplicator.prototype._forgetSecret = function(secret) {
+  var inUse = false
+
+  this._pending.forEach(function(pending) {
+    inUse = inUse || pending.secret === secret
+  })
+
+  if (!inUse) {
+    this._secretIds.delete(secret)
+  }
+}
+
+module.exports = Deduplicator
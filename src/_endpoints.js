@@ -0,0 +1,124 @@
+'use strict'
+
+var util = require('./_util')
+
+/**
+ * Keeps track of the health of the FaunaDB endpoints a {@link Client} can
+ * send requests to. Requests are routed to the first healthy endpoint, in
+ * the configured order. An endpoint is marked unhealthy after a connection
+ * error or a 503 response, and pinged in the background until it recovers.
+ *
+ * @param {Client} client
+ * @param {Array<Object>} endpoints
+ *   Endpoints, as `{ domain, scheme, port }` objects.
+ * @param {Object} defaults
+ *   Default scheme and port, and the function creating the http agent for
+ *   a scheme.
+ * @param {number} healthCheckInterval
+ *   Time in milliseconds between two pings of an unhealthy endpoint.
+ * @constructor
+ * @private
+ */
+function EndpointPool(client, endpoints, defaults, healthCheckInterval) {
+  if (!Array.isArray(endpoints) || endpoints.length === 0) {
+    throw new Error('endpoints must be a non-empty array')
+  }
+
+  this._client = client
+  this._healthCheckInterval = healthCheckInterval
+  this._stopped = false
+  this.endpoints = endpoints.map(function(endpoint) {
+    var opts = util.applyDefaults(endpoint, {
+      domain: undefined,
+      scheme: defaults.scheme,
+      port: null,
+    })
+
+    if (opts.domain === undefined) {
+      throw new Error('Endpoint domain must be provided')
+    }
+
+    if (opts.port === null) {
+      opts.port = opts.scheme === 'https' ? 443 : 80
+    }
+
+    return {
+      url: opts.scheme + '://' + opts.domain + ':' + opts.port,
+      agent: defaults.agentFor(opts.scheme),
+      healthy: true,
+      timer: null,
+    }
+  })
+}
+
+/**
+ * Returns the endpoint for the next request: the first healthy one, or the
+ * first configured one if none is healthy.
+ * @private
+ */
+EndpointPool.prototype.pick = function() {
+  for (var i = 0; i < this.endpoints.length; i++) {
+    if (this.endpoints[i].healthy) {
+      return this.endpoints[i]
+    }
+  }
+
+  return this.endpoints[0]
+}
+
+EndpointPool.prototype.markUnhealthy = function(endpoint) {
+  if (!endpoint.healthy) {
+    return
+  }
+
+  endpoint.healthy = false
+  this._scheduleProbe(endpoint)
+}
+
+EndpointPool.prototype._scheduleProbe = function(endpoint) {
+  var self = this
+
+  // Probes failing because the client closed would otherwise never end.
+  if (this._stopped) {
+    return
+  }
+
+  endpoint.timer = setTimeout(function() {
+    endpoint.timer = null
+    self._client
+      ._execute(
+        'GET',
+        'ping',
+        null,
+        { scope: 'node' },
+        {
+          endpoint: endpoint,
+          retry: false,
+        }
+      )
+      .then(
+        function() {
+          endpoint.healthy = true
+        },
+        function() {
+          self._scheduleProbe(endpoint)
+        }
+      )
+  }, this._healthCheckInterval)
+
+  util.unrefTimer(endpoint.timer)
+}
+
+/**
+ * Stops probing unhealthy endpoints.
+ * @private
+ */
+EndpointPool.prototype.stop = function() {
+  this._stopped = true
+  this.endpoints.forEach(function(endpoint) {
+    clearTimeout(endpoint.timer)
+    endpoint.timer = null
+  })
+}
+
+module.exports = EndpointPool
@@ -0,0 +1,110 @@
+'use strict'
+
+var Expr = require('./Expr')
+var values = require('./values')
+var walk = require('./_walk')
+
+/**
+ * Wire names of the query functions that may write to the database.
+ * `call` is included because user defined functions can perform writes.
+ * @private
+ */
+var writeFunctions = [
+  'create',
+  'create_class',
+  'create_collection',
+  'create_database',
+  'create_index',
+  'create_key',
+  'create_function',
+  'create_role',
+  'update',
+  'replace',
+  'delete',
+  'insert',
+  'remove',
+  'move_database',
+  'login',
+  'logout',
+  'call',
+]
+
+/**
+ * Wire names of the query functions whose result changes between calls
+ * even when the database does not.
+ * @private
+ */
+var nonDeterministicFunctions = ['now', 'new_id', 'next_id']
+
+/**
+ * Returns true if the wire representation of a query (as produced by
+ * `query.wrap`) contains a call to any of the given functions.
+ * Object literal keys, `Let` binding names and literal values are not
+ * considered function calls.
+ * @private
+ */
+function containsFunctions(wire, functionNames) {
+  var found = false
+
+  walk.walk(
+    wire,
+    function(node) {
+      found =
+        found || (node.type === 'call' && functionNames.indexOf(node.name) >= 0)
+
+      return !found
+    },
+    []
+  )
+
+  return found
+}
+
+/**
+ * Returns true if the wire representation of a query cannot write to the
+ * database, which makes it safe to send more than once.
+ * @private
+ */
+function isReadOnly(wire) {
+  return !containsFunctions(wire, writeFunctions)
+}
+
+/**
+ * Returns true if the wire representation of a query always returns the
+ * same result for the same database state.
+ * @private
+ */
+function isDeterministic(wire) {
+  return !containsFunctions(wire, nonDeterministicFunctions)
+}
+
+/**
+ * Returns the wire name of the top-level function of a query, such as
+ * `get` or `paginate`, or null if the query is a literal value.
+ * @private
+ */
+function functionName(wire) {
+  if (wire instanceof values.Value) {
+    return null
+  }
+
+  if (wire instanceof Expr) {
+    return functionName(wire.raw)
+  }
+
+  if (wire === null || typeof wire !== 'object' || Array.isArray(wire)) {
+    return null
+  }
+
+  var keys = Object.keys(wire)
+  return keys.length > 0 && keys[0] !== 'object' ? keys[0] : null
+}
+
+module.exports = {
+  writeFunctions: writeFunctions,
+  nonDeterministicFunctions: nonDeterministicFunctions,
+  containsFunctions: containsFunctions,
+  isReadOnly: isReadOnly,
+  isDeterministic: isDeterministic,
+  functionName: functionName,
+}
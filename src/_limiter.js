@@ -0,0 +1,240 @@
+'use strict'
+
+var errors = require('./errors')
+var util = require('./_util')
+
+/**
+ * Limits the number of concurrent requests of a {@link Client}, and the
+ * rate at which they are sent with a token bucket. Requests over the limits
+ * wait in a queue, ordered by priority and then by arrival.
+ *
+ * @param {Object} options
+ * @param {?number} options.maxConcurrent
+ *   Maximum number of requests in flight, or null for no limit.
+ * @param {?{requestsPerSecond: number, burst: ?number}} options.rateLimit
+ *   Sustained request rate, and number of requests that can be sent at once
+ *   after an idle period. `burst` defaults to `requestsPerSecond`.
+ * @param {?number} options.queueTimeout
+ *   Time in milliseconds a request can wait in the queue, or null to wait
+ *   indefinitely.
+ * @constructor
+ * @private
+ */
+function Limiter(options) {
+  var opts = util.applyDefaults(options, {
+    maxConcurrent: null,
+    rateLimit: null,
+    queueTimeout: null,
+  })
+
+  this._maxConcurrent = opts.maxConcurrent
+  this._queueTimeout = opts.queueTimeout
+  this._bucket = null
+  this._active = 0
+  this._queue = []
+  this._timer = null
+  this._granted = 0
+  this._totalWait = 0
+
+  if (opts.rateLimit !== null) {
+    var rate = util.applyDefaults(opts.rateLimit, {
+      requestsPerSecond: undefined,
+      burst: null,
+    })
+
+    if (!(rate.requestsPerSecond > 0)) {
+      throw new Error('rateLimit.requestsPerSecond must be a positive number')
+    }
+
+    var burst = rate.burst === null ? rate.requestsPerSecond : rate.burst
+
+    this._bucket = {
+      capacity: burst,
+      tokens: burst,
+      perMs: rate.requestsPerSecond / 1000,
+      updatedAt: Date.now(),
+    }
+  }
+}
+
+/**
+ * Waits for a slot to send a request. Resolves to the slot, with the time
+ * in milliseconds spent in the queue as `wait`, the number of requests that
+ * were queued when it arrived as `depth`, and a `release` function to call
+ * once the request completes.
+ *
+ * Rejects with {@link module:errors~QueueTimeout} after the queue timeout,
+ * with {@link module:errors~RequestAborted} when `signal` fires, and with
+ * {@link module:errors~ClientClosed} when cancelled through `cancelers`.
+ *
+ * @param {Object} options
+ * @param {?number} options.priority
+ *   Requests with a higher priority leave the queue first. Defaults to 0.
+ * @param {?number} options.queueTimeout Overrides the queue timeout.
+ * @param {?AbortSignal} options.signal
+ * @param {Array<Array<Function>>} cancelers
+ * @private
+ */
+Limiter.prototype.acquire = function(options, cancelers) {
+  var self = this
+  var signal = options.signal
+  var timeout =
+    options.queueTimeout === undefined
+      ? this._queueTimeout
+      : options.queueTimeout
+
+  if (signal && signal.aborted) {
+    return Promise.reject(new errors.RequestAborted('Request aborted'))
+  }
+
+  return new Promise(function(resolve, reject) {
+    var entry = {
+      priority: options.priority || 0,
+      depth: self._queue.length,
+      enqueuedAt: Date.now(),
+      grant: grant,
+    }
+    var timer =
+      timeout === null || timeout === undefined
+        ? null
+        : setTimeout(function() {
+            abort(new errors.QueueTimeout(timeout))
+          }, timeout)
+
+    function onAbort() {
+      abort(new errors.RequestAborted('Request aborted'))
+    }
+
+    function cancel() {
+      abort(new errors.ClientClosed())
+    }
+
+    function cleanup() {
+      clearTimeout(timer)
+      cancelers.forEach(function(list) {
+        if (list.indexOf(cancel) >= 0) {
+          list.splice(list.indexOf(cancel), 1)
+        }
+      })
+      if (signal) {
+        signal.removeEventListener('abort', onAbort)
+      }
+    }
+
+    function abort(error) {
+      cleanup()
+      if (self._queue.indexOf(entry) >= 0) {
+        self._queue.splice(self._queue.indexOf(entry), 1)
+      }
+      reject(error)
+    }
+
+    function grant() {
+      var wait = Date.now() - entry.enqueuedAt
+      var released = false
+
+      cleanup()
+      self._active++
+      self._granted++
+      self._totalWait += wait
+
+      resolve({
+        wait: wait,
+        depth: entry.depth,
+        release: function() {
+          if (!released) {
+            released = true
+            self._active--
+            self._drain()
+          }
+        },
+      })
+    }
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort)
+    }
+
+    cancelers.forEach(function(list) {
+      list.push(cancel)
+    })
+
+    self._enqueue(entry)
+    self._drain()
+  })
+}
+
+/**
+ * Returns the number of queued requests, and the average time in
+ * milliseconds the requests sent so far waited in the queue.
+ * @private
+ */
+Limiter.prototype.stats = function() {
+  return {
+    queued: this._queue.length,
+    averageQueueWait: this._granted === 0 ? 0 : this._totalWait / this._granted,
+  }
+}
+
+Limiter.prototype._enqueue = function(entry) {
+  var index = this._queue.length
+
+  while (index > 0 && this._queue[index - 1].priority < entry.priority) {
+    index--
+  }
+
+  this._queue.splice(index, 0, entry)
+}
+
+Limiter.prototype._drain = function() {
+  while (this._queue.length > 0) {
+    if (this._maxConcurrent !== null && this._active >= this._maxConcurrent) {
+      return
+    }
+
+    if (!this._takeToken()) {
+      this._scheduleDrain()
+      return
+    }
+
+    this._queue.shift().grant()
+  }
+}
+
+Limiter.prototype._takeToken = function() {
+  var bucket = this._bucket
+
+  if (bucket === null) {
+    return true
+  }
+
+  var now = Date.now()
+  bucket.tokens = Math.min(
+    bucket.capacity,
+    bucket.tokens + (now - bucket.updatedAt) * bucket.perMs
+  )
+  bucket.updatedAt = now
+
+  if (bucket.tokens < 1) {
+    return false
+  }
+
+  bucket.tokens--
+  return true
+}
+
+Limiter.prototype._scheduleDrain = function() {
+  if (this._timer !== null) {
+    return
+  }
+
+  var self = this
+  var delay = Math.ceil((1 - this._bucket.tokens) / this._bucket.perMs)
+
+  this._timer = setTimeout(function() {
+    self._timer = null
+    self._drain()
+  }, delay)
+}
+
+module.exports = Limiter
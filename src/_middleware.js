@@ -0,0 +1,58 @@
+'use strict'
+
+/**
+ * Runs `ctx` through each function of `middleware` in order, then through
+ * `handler`. Each middleware is called with `ctx` and a `next` function
+ * running the rest of the chain, and returns a promise of the result.
+ * Errors thrown synchronously are turned into rejections.
+ * @private
+ */
+function run(middleware, ctx, handler) {
+  function dispatch(index) {
+    return new Promise(function(resolve) {
+      if (index === middleware.length) {
+        resolve(handler(ctx))
+        return
+      }
+
+      resolve(
+        middleware[index](ctx, function next() {
+          return dispatch(index + 1)
+        })
+      )
+    })
+  }
+
+  return dispatch(0)
+}
+
+/**
+ * Wraps an `observer` callback of a {@link Client} as a middleware, calling
+ * it with the {@link RequestResult} of every request that got a response.
+ * @private
+ */
+function observer(callback) {
+  return function(ctx, next) {
+    function observe() {
+      if (ctx.requestResult !== null) {
+        callback(ctx.requestResult, ctx.client)
+      }
+    }
+
+    return next().then(
+      function(result) {
+        observe()
+        return result
+      },
+      function(error) {
+        observe()
+        throw error
+      }
+    )
+  }
+}
+
+module.exports = {
+  run: run,
+  observer: observer,
+}
@@ -0,0 +1,288 @@
+'use strict'
+
+var errors = require('./errors')
+var query = require('./query')
+
+/**
+ * The query functions by lowercase name, so the names printed by
+ * {@link Expr.toString}, such as `Ngram` for `NGram`, resolve too.
+ * @private
+ */
+var functions = Object.keys(query).reduce(function(out, name) {
+  // Leaves out helpers such as `wrap`.
+  if (/^[A-Z]/.test(name)) {
+    out[name.toLowerCase()] = query[name]
+  }
+
+  return out
+}, {})
+
+var literals = { true: true, false: false, null: null }
+var punctuation = '()[]{},:'
+var numberPattern = /-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/g
+var namePattern = /[^\s()[\]{},:"']+/g
+var spacePattern = /\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\//g
+
+/**
+ * Parses FQL text, such as the output of {@link Expr.toString}, into the
+ * expression the functions of {@link module:query} would build.
+ * @private
+ */
+function parse(text) {
+  var parser = new Parser(String(text))
+  var value = parser.value()
+
+  parser.expectEnd()
+
+  return query.wrap(value)
+}
+
+function Parser(text) {
+  this._text = text
+  this._pos = 0
+  this._token = null
+  this._next()
+}
+
+Parser.prototype.value = function() {
+  var token = this._token
+
+  switch (token.type) {
+    case 'string':
+    case 'number':
+      this._next()
+      return token.value
+    case '[':
+      return this._array()
+    case '{':
+      return this._object()
+    case 'name':
+      return this._name()
+    default:
+      throw this._error(token, 'Unexpected ' + describe(token))
+  }
+}
+
+Parser.prototype.expectEnd = function() {
+  if (this._token.type !== 'end') {
+    throw this._error(this._token, 'Unexpected ' + describe(this._token))
+  }
+}
+
+Parser.prototype._array = function() {
+  var items = []
+
+  this._expect('[')
+
+  while (this._token.type !== ']') {
+    items.push(this.value())
+
+    if (!this._accept(',')) {
+      break
+    }
+  }
+
+  this._expect(']')
+
+  return items
+}
+
+Parser.prototype._object = function() {
+  var object = {}
+
+  this._expect('{')
+
+  while (this._token.type !== '}') {
+    var key = this._token
+
+    if (key.type !== 'name' && key.type !== 'string' && key.type !== 'number') {
+      throw this._error(key, 'Expected an object key, got ' + describe(key))
+    }
+
+    this._next()
+    this._expect(':')
+    // Numeric keys, such as `0`, keep the text they were written with.
+    object[key.type === 'number' ? key.text : key.value] = this.value()
+
+    if (!this._accept(',')) {
+      break
+    }
+  }
+
+  this._expect('}')
+
+  return object
+}
+
+Parser.prototype._name = function() {
+  var token = this._token
+
+  this._next()
+
+  if (token.value in literals && this._token.type !== '(') {
+    return literals[token.value]
+  }
+
+  // Allows `q.Add(1, 2)`, as written with the JavaScript driver.
+  var name = token.value.slice(token.value.lastIndexOf('.') + 1)
+  var fn = functions[name.toLowerCase()]
+
+  if (fn === undefined) {
+    throw this._error(token, 'Unknown function ' + token.value)
+  }
+
+  var args = []
+
+  this._expect('(')
+
+  while (this._token.type !== ')') {
+    args.push(this.value())
+
+    if (!this._accept(',')) {
+      break
+    }
+  }
+
+  this._expect(')')
+
+  try {
+    return fn.apply(null, args)
+  } catch (error) {
+    throw this._error(token, error.message.split('\n')[0])
+  }
+}
+
+Parser.prototype._accept = function(type) {
+  if (this._token.type !== type) {
+    return false
+  }
+
+  this._next()
+  return true
+}
+
+Parser.prototype._expect = function(type) {
+  if (this._token.type !== type) {
+    throw this._error(
+      this._token,
+      'Expected "' + type + '", got ' + describe(this._token)
+    )
+  }
+
+  this._next()
+}
+
+Parser.prototype._error = function(token, message) {
+  var lines = this._text.slice(0, token.start).split('\n')
+
+  return new errors.ParseError(
+    message,
+    lines.length,
+    lines[lines.length - 1].length + 1
+  )
+}
+
+Parser.prototype._next = function() {
+  this._skipSpace()
+
+  var text = this._text
+  var start = this._pos
+  var char = text.charAt(start)
+  var match
+
+  if (start >= text.length) {
+    this._token = { type: 'end', start: start }
+  } else if (punctuation.indexOf(char) >= 0) {
+    this._pos++
+    this._token = { type: char, start: start }
+  } else if (char === '"' || char === "'") {
+    this._token = {
+      type: 'string',
+      value: this._string(char),
+      start: start,
+    }
+  } else if ((match = matchAt(numberPattern, text, start)) !== null) {
+    this._pos += match.length
+    this._token = {
+      type: 'number',
+      value: Number(match),
+      text: match,
+      start: start,
+    }
+  } else if ((match = matchAt(namePattern, text, start)) !== null) {
+    this._pos += match.length
+    this._token = { type: 'name', value: match, start: start }
+  } else {
+    throw this._error({ start: start }, 'Unexpected character ' + char)
+  }
+}
+
+Parser.prototype._string = function(quote) {
+  var text = this._text
+  var start = this._pos
+  var pos = start + 1
+
+  while (pos < text.length && text.charAt(pos) !== quote) {
+    pos += text.charAt(pos) === '\\' ? 2 : 1
+  }
+
+  if (pos >= text.length) {
+    throw this._error({ start: start }, 'Unterminated string')
+  }
+
+  this._pos = pos + 1
+
+  var body = text.slice(start + 1, pos)
+
+  if (quote === "'") {
+    body = body.replace(/\\[\s\S]|"/g, function(escape) {
+      return escape === '"' ? '\\"' : escape === "\\'" ? "'" : escape
+    })
+  }
+
+  try {
+    return JSON.parse('"' + body + '"')
+  } catch (error) {
+    throw this._error({ start: start }, 'Invalid string')
+  }
+}
+
+Parser.prototype._skipSpace = function() {
+  var match
+
+  while ((match = matchAt(spacePattern, this._text, this._pos)) !== null) {
+    this._pos += match.length
+  }
+}
+
+/**
+ * Returns the match of a global `pattern` starting at `pos`, or null.
+ * @private
+ */
+function matchAt(pattern, text, pos) {
+  pattern.lastIndex = pos
+
+  var match = pattern.exec(text)
+
+  return match !== null && match.index === pos && match[0] !== ''
+    ? match[0]
+    : null
+}
+
+function describe(token) {
+  switch (token.type) {
+    case 'end':
+      return 'end of input'
+    case 'string':
+      return 'string ' + JSON.stringify(token.value)
+    case 'number':
+    case 'name':
+      return String(token.value)
+    default:
+      return '"' + token.type + '"'
+  }
+}
+
+module.exports = {
+  parse: parse,
+}
@@ -0,0 +1,139 @@
+'use strict'
+
+var errors = require('./errors')
+var objectAssign = require('object-assign')
+var util = require('./_util')
+
+var policyDefaults = {
+  maxAttempts: 3,
+  initialDelay: 100,
+  maxDelay: 5000,
+  jitter: true,
+  statusCodes: [429, 503],
+  errors: [],
+  networkErrors: true,
+  writes: false,
+}
+
+/**
+ * Builds a retry policy from the `retry` option of a {@link Client}.
+ * Returns null when retries are disabled.
+ * @private
+ */
+function createPolicy(options) {
+  if (options === undefined || options === null || options === false) {
+    return null
+  }
+
+  return util.applyDefaults(options === true ? {} : options, policyDefaults)
+}
+
+/**
+ * Resolves the policy for a single query: `override` is the `retry` query
+ * option, which can disable retries or adjust the client policy.
+ * @private
+ */
+function resolvePolicy(policy, override) {
+  if (override === undefined) {
+    return policy
+  }
+
+  if (override === null || override === false) {
+    return null
+  }
+
+  return createPolicy(
+    objectAssign({}, policy, override === true ? {} : override)
+  )
+}
+
+/**
+ * Decides whether a failed attempt should be retried.
+ *
+ * @param {?Object} policy
+ * @param {Error} error The error raised by the attempt.
+ * @param {number} attempt The attempt number, starting at 1.
+ * @param {boolean} idempotent Whether the request is safe to send again.
+ * @param {boolean} networkFailure Whether the request never got a response.
+ * @private
+ */
+function shouldRetry(policy, error, attempt, idempotent, networkFailure) {
+  if (policy === null || attempt >= policy.maxAttempts) {
+    return false
+  }
+
+  if (!idempotent && !policy.writes) {
+    return false
+  }
+
+  if (error instanceof errors.RequestAborted) {
+    return false
+  }
+
+  if (networkFailure && policy.networkErrors) {
+    return true
+  }
+
+  if (
+    error instanceof errors.FaunaHTTPError &&
+    policy.statusCodes.indexOf(error.requestResult.statusCode) >= 0
+  ) {
+    return true
+  }
+
+  return policy.errors.some(function(errorType) {
+    return error instanceof errorType
+  })
+}
+
+/**
+ * Exponential backoff delay, in milliseconds, before the attempt that
+ * follows `attempt`.
+ * @private
+ */
+function backoffDelay(policy, attempt) {
+  var delay = Math.min(
+    policy.maxDelay,
+    policy.initialDelay * Math.pow(2, attempt - 1)
+  )
+
+  return policy.jitter ? Math.floor(Math.random() * delay) : delay
+}
+
+/**
+ * Resolves after `ms` milliseconds, or rejects with
+ * {@link module:errors~RequestAborted} as soon as `signal` fires.
+ * @private
+ */
+function wait(ms, signal) {
+  return new Promise(function(resolve, reject) {
+    if (signal && signal.aborted) {
+      reject(new errors.RequestAborted('Request aborted'))
+      return
+    }
+
+    function onAbort() {
+      clearTimeout(timer)
+      reject(new errors.RequestAborted('Request aborted'))
+    }
+
+    var timer = setTimeout(function() {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort)
+      }
+      resolve()
+    }, ms)
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort)
+    }
+  })
+}
+
+module.exports = {
+  createPolicy: createPolicy,
+  resolvePolicy: resolvePolicy,
+  shouldRetry: shouldRetry,
+  backoffDelay: backoffDelay,
+  wait: wait,
+}
@@ -0,0 +1,93 @@
+'use strict'
+
+var errors = require('./errors')
+var util = require('./_util')
+var values = require('./values')
+
+var builtinRoles = ['admin', 'server', 'server-readonly', 'client']
+
+/**
+ * Builds the scope of a child database secret: the database path relative
+ * to the key, and either a role or a document ref to authenticate as.
+ * Database paths of nested scopes are appended to the path of `parent`,
+ * and the role is inherited from `parent` unless given.
+ *
+ * @param {?Object} parent The scope to nest into.
+ * @param {?string} database Slash separated path of the child database.
+ * @param {?Object} options
+ * @param {?string} options.role A built-in role name, or a user defined role name.
+ * @param {?values.Ref} options.ref A document ref to authenticate as.
+ * @private
+ */
+function createScope(parent, database, options) {
+  var opts = util.applyDefaults(options, { role: null, ref: null })
+  var path = trimSlashes(database || '')
+
+  if (opts.role !== null && opts.ref !== null) {
+    throw new errors.InvalidValue('A scope takes either a role or a ref')
+  }
+
+  if (opts.ref !== null && !isDocumentRef(opts.ref)) {
+    throw new errors.InvalidValue('Scope ref must be a document ref')
+  }
+
+  if (parent) {
+    path = path === '' ? parent.database : parent.database + '/' + path
+  }
+
+  if (path === '') {
+    throw new errors.InvalidValue('Scope database path must not be empty')
+  }
+
+  var inherited = parent && opts.role === null && opts.ref === null
+
+  return {
+    database: path,
+    role: inherited ? parent.role : opts.role === null ? 'admin' : opts.role,
+    ref: inherited ? parent.ref : opts.ref,
+  }
+}
+
+/**
+ * Composes a scoped secret such as `secret:db/path:role`.
+ * Returns `secret` unchanged when `scope` is null.
+ * @private
+ */
+function scopedSecret(secret, scope) {
+  if (scope === null || scope === undefined) {
+    return secret
+  }
+
+  if (typeof secret !== 'string' || secret === '') {
+    throw new errors.InvalidValue('Scoped secrets require a base secret')
+  }
+
+  return secret + ':' + scope.database + ':' + authorization(scope)
+}
+
+function authorization(scope) {
+  if (scope.ref) {
+    return '@doc/' + scope.ref.collection.id + '/' + scope.ref.id
+  }
+
+  return builtinRoles.indexOf(scope.role) >= 0
+    ? scope.role
+    : '@role/' + scope.role
+}
+
+function isDocumentRef(ref) {
+  return (
+    ref instanceof values.Ref &&
+    ref.collection instanceof values.Ref &&
+    ref.collection.collection === values.Native.COLLECTIONS
+  )
+}
+
+function trimSlashes(path) {
+  return path.replace(/^\/+|\/+$/g, '')
+}
+
+module.exports = {
+  createScope: createScope,
+  scopedSecret: scopedSecret,
+}
@@ -0,0 +1,71 @@
+'use strict'
+
+var errors = require('./errors')
+
+/**
+ * Caches the secret returned by the `secretProvider` of a {@link Client},
+ * and refreshes it when FaunaDB rejects it.
+ *
+ * @param {function(): (string|Promise<string>)} provider
+ * @constructor
+ * @private
+ */
+function SecretProvider(provider) {
+  this._provider = provider
+  this._pending = null
+}
+
+/**
+ * Resolves to the current secret, calling the provider the first time.
+ * @private
+ */
+SecretProvider.prototype.get = function() {
+  if (this._pending === null) {
+    this._pending = this._load()
+  }
+
+  return this._pending
+}
+
+/**
+ * Calls the provider again if the current secret is still `stale`, and
+ * resolves to the new secret. Concurrent refreshes of the same secret share
+ * a single call.
+ * @private
+ */
+SecretProvider.prototype.refresh = function(stale) {
+  var self = this
+  var pending = this.get()
+
+  return pending.then(function(current) {
+    if (current === stale && self._pending === pending) {
+      self._pending = self._load()
+    }
+
+    return self._pending
+  })
+}
+
+SecretProvider.prototype._load = function() {
+  var self = this
+  var pending = Promise.resolve()
+    .then(this._provider)
+    .then(function(secret) {
+      if (typeof secret !== 'string' || secret === '') {
+        throw new errors.InvalidValue('Secret providers must return a secret')
+      }
+
+      return secret
+    })
+
+  // Failed calls are not cached, so the next query calls the provider again.
+  pending.catch(function() {
+    if (self._pending === pending) {
+      self._pending = null
+    }
+  })
+
+  return pending
+}
+
+module.exports = SecretProvider
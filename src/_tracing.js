@@ -0,0 +1,118 @@
+'use strict'
+
+var fql = require('./_fql')
+
+// The CLIENT span kind and ERROR status code of OpenTelemetry.
+var clientSpanKind = 2
+var errorStatusCode = 2
+
+/**
+ * Starts a span for a request of a {@link Client}. Returns null when the
+ * client has no tracer.
+ *
+ * The tracer needs a `startSpan(name, options)` method returning a span with
+ * `setAttribute(key, value)`, `setStatus(status)` and `end()` methods, such
+ * as an OpenTelemetry tracer. When the span also has a `spanContext()`
+ * method, its context is propagated with W3C Trace Context headers.
+ * @private
+ */
+function startSpan(tracer, method, path, data) {
+  if (tracer === null) {
+    return null
+  }
+
+  var operation =
+    method === 'POST' && path === '' ? fql.functionName(data) : null
+
+  return tracer.startSpan('faunadb ' + (operation || path || method), {
+    kind: clientSpanKind,
+    attributes: {
+      'db.system': 'faunadb',
+      'db.operation': operation || path,
+      'http.method': method,
+    },
+  })
+}
+
+/**
+ * Returns the `traceparent` and `tracestate` headers propagating `span`.
+ * @private
+ */
+function headers(span) {
+  if (span === null || typeof span.spanContext !== 'function') {
+    return {}
+  }
+
+  var context = span.spanContext()
+  var traceState = context.traceState
+  var out = {
+    traceparent:
+      '00-' +
+      context.traceId +
+      '-' +
+      context.spanId +
+      '-' +
+      ('0' + (context.traceFlags || 0).toString(16)).slice(-2),
+  }
+
+  if (traceState && typeof traceState.serialize === 'function') {
+    traceState = traceState.serialize()
+  }
+
+  if (traceState) {
+    out.tracestate = traceState
+  }
+
+  return out
+}
+
+/**
+ * Records the attributes of a response on `span`.
+ * @private
+ */
+function recordResult(span, requestResult, txnTime) {
+  if (span === null) {
+    return
+  }
+
+  span.setAttribute('http.status_code', requestResult.statusCode)
+  span.setAttribute('faunadb.attempt', requestResult.attempt)
+  span.setAttribute('faunadb.request_bytes', requestResult.requestBytes)
+  span.setAttribute('faunadb.response_bytes', requestResult.responseBytes)
+
+  if (txnTime !== null) {
+    span.setAttribute('faunadb.txn_time', txnTime)
+  }
+}
+
+/**
+ * Ends `span` once `promise` settles, recording its error if any.
+ * @private
+ */
+function endSpan(span, promise) {
+  if (span === null) {
+    return promise
+  }
+
+  return promise.then(
+    function(result) {
+      span.end()
+      return result
+    },
+    function(error) {
+      if (typeof span.recordException === 'function') {
+        span.recordException(error)
+      }
+      span.setStatus({ code: errorStatusCode, message: error.message })
+      span.end()
+      throw error
+    }
+  )
+}
+
+module.exports = {
+  startSpan: startSpan,
+  headers: headers,
+  recordResult: recordResult,
+  endSpan: endSpan,
+}
@@ -56,8 +56,33 @@ function removeUndefinedValues(object) {
   return res
 }
 
+/**
+ * Returns the size of `text` encoded as UTF-8, in bytes.
+ * @private
+ */
+function byteLength(text) {
+  return typeof Buffer === 'undefined'
+    ? new TextEncoder().encode(text).length
+    : Buffer.byteLength(text)
+}
+
+/**
+ * Lets Node.js processes exit while `timer` is pending, as background
+ * probes should not keep them alive. Browser timers are left as they are.
+ * @private
+ */
+function unrefTimer(timer) {
+  if (typeof timer.unref === 'function') {
+    timer.unref()
+  }
+
+  return timer
+}
+
 module.exports = {
   applyDefaults: applyDefaults,
   removeNullAndUndefinedValues: removeNullAndUndefinedValues,
   removeUndefinedValues: removeUndefinedValues,
+  byteLength: byteLength,
+  unrefTimer: unrefTimer,
 }
@@ -0,0 +1,310 @@
+'use strict'
+
+var Expr = require('./Expr')
+var walk = require('./_walk')
+
+/**
+ * Known keys of the option objects of functions, by wire name. Paginate
+ * takes its options on the expression itself, the others as their params.
+ * @private
+ */
+var optionKeys = {
+  paginate: [
+    'paginate',
+    'cursor',
+    'after',
+    'before',
+    'size',
+    'ts',
+    'events',
+    'sources',
+  ],
+  create_collection: [
+    'name',
+    'data',
+    'history_days',
+    'ttl_days',
+    'permissions',
+  ],
+  create_database: ['name', 'data', 'api_version', 'priority'],
+  create_index: [
+    'name',
+    'source',
+    'terms',
+    'values',
+    'unique',
+    'serialized',
+    'permissions',
+    'data',
+    'active',
+    'partitions',
+  ],
+  create_function: ['name', 'body', 'data', 'role'],
+  create_role: ['name', 'privileges', 'membership', 'data'],
+  create_key: ['database', 'role', 'priority', 'data'],
+}
+
+/**
+ * Deprecated functions by wire name, with their replacement.
+ * @private
+ */
+var deprecatedFunctions = {
+  create_class: ['CreateClass', 'CreateCollection'],
+  class: ['Class', 'Collection'],
+  classes: ['Classes', 'Collections'],
+  next_id: ['NextId', 'NewId'],
+  select_all: ['SelectAll', null],
+}
+
+/**
+ * Parameters taken by the lambdas of higher-order functions, by wire name.
+ * @private
+ */
+var lambdaArity = {
+  reduce: { name: 'Reduce', key: 'reduce', params: 2 },
+  merge: { name: 'Merge', key: 'lambda', params: 3 },
+}
+
+/**
+ * Walks an expression and returns the problems found.
+ * @private
+ */
+function validate(expr) {
+  var problems = []
+
+  check(expr, [], Object.create(null), problems)
+
+  return problems
+}
+
+/**
+ * Checks an expression whose free variables are those of `scope`. Lets and
+ * lambdas check their bodies in a scope of their own.
+ * @private
+ */
+function check(expr, path, scope, problems) {
+  walk.walk(
+    expr,
+    function(node, nodePath) {
+      switch (node.type) {
+        case 'let':
+          checkLet(node, nodePath, scope, problems)
+          return false
+        case 'lambda':
+          checkLambda(node, nodePath, scope, problems)
+          return false
+        case 'call':
+          return checkCall(node, nodePath, scope, problems)
+      }
+    },
+    path
+  )
+}
+
+function checkLet(node, path, scope, problems) {
+  var inner = Object.create(scope)
+
+  node.bindings.forEach(function(binding) {
+    var bindingPath = path.concat(binding.path)
+
+    // Each binding sees the previous ones.
+    check(binding.value, bindingPath, inner, problems)
+    bind(inner, binding.name, bindingPath, problems)
+  })
+
+  check(node.body, path.concat('in'), inner, problems)
+}
+
+function checkLambda(node, path, scope, problems) {
+  var inner = Object.create(scope)
+
+  var bindParam = function(name, paramPath) {
+    // `_` ignores a parameter.
+    if (typeof name === 'string' && name !== '_') {
+      bind(inner, name, paramPath, problems)
+    }
+  }
+
+  if (Array.isArray(node.params)) {
+    node.params.forEach(function(name, i) {
+      bindParam(unwrap(name), path.concat('lambda', i))
+    })
+  } else {
+    bindParam(node.params, path.concat('lambda'))
+  }
+
+  check(node.body, path.concat('expr'), inner, problems)
+}
+
+function checkCall(node, path, scope, problems) {
+  var fn = node.name
+
+  if (fn === 'var') {
+    var name = unwrap(node.args['var'])
+
+    if (typeof name === 'string' && !(name in scope)) {
+      report(problems, 'error', path, 'Unbound variable ' + name)
+    }
+    return false
+  }
+
+  if (fn in deprecatedFunctions) {
+    var names = deprecatedFunctions[fn]
+
+    report(
+      problems,
+      'warning',
+      path.concat(fn),
+      names[0] +
+        ' is deprecated' +
+        (names[1] ? ', use ' + names[1] + ' instead' : '')
+    )
+  }
+
+  checkOptions(node.args, fn, path, problems)
+  checkLambdas(node.args, fn, path, problems)
+}
+
+function bind(scope, name, path, problems) {
+  if (name in scope) {
+    report(problems, 'warning', path, 'Binding ' + name + ' shadows another')
+  }
+
+  scope[name] = true
+}
+
+function checkOptions(expr, fn, path, problems) {
+  var known = optionKeys[fn]
+
+  if (known === undefined) {
+    return
+  }
+
+  var options = expr
+  var optionsPath = path
+
+  if (fn !== 'paginate') {
+    options = unwrap(expr[fn])
+    optionsPath = path.concat(fn, 'object')
+
+    if (options === null || typeof options !== 'object' || !options.object) {
+      return
+    }
+
+    options = unwrap(options.object)
+  }
+
+  Object.keys(options).forEach(function(key) {
+    if (known.indexOf(key) === -1) {
+      report(
+        problems,
+        'error',
+        optionsPath.concat(key),
+        'Unknown option ' + key
+      )
+    }
+  })
+}
+
+function checkLambdas(expr, fn, path, problems) {
+  if (fn === 'map' || fn === 'filter' || fn === 'foreach') {
+    checkElements(expr, fn, path, problems)
+    return
+  }
+
+  var arity = lambdaArity[fn]
+  var params = arity ? lambdaParams(expr[arity.key]) : null
+
+  var count = typeof params === 'string' ? 1 : params && params.length
+
+  if (params !== null && count !== arity.params) {
+    report(
+      problems,
+      'error',
+      path.concat(arity.key),
+      'The lambda of ' +
+        arity.name +
+        ' takes ' +
+        arity.params +
+        ' parameters, not ' +
+        count
+    )
+  }
+}
+
+/**
+ * Checks that the elements of a literal array given to Map, Filter or
+ * Foreach can be destructured into the parameters of its lambda.
+ * @private
+ */
+function checkElements(expr, fn, path, problems) {
+  var params = lambdaParams(expr[fn])
+  var collection = unwrap(expr.collection)
+
+  // A single parameter takes whole elements.
+  if (!Array.isArray(params) || !Array.isArray(collection)) {
+    return
+  }
+
+  collection.forEach(function(element, i) {
+    element = unwrap(element)
+
+    var isArray = Array.isArray(element)
+
+    // Other expressions may evaluate to arrays of any length.
+    if (isArray ? element.length === params.length : isExpression(element)) {
+      return
+    }
+
+    report(
+      problems,
+      'error',
+      path.concat('collection', i),
+      'The lambda of ' +
+        fn.charAt(0).toUpperCase() +
+        fn.slice(1) +
+        ' takes ' +
+        params.length +
+        ' parameters, but the element is not an array of ' +
+        params.length
+    )
+  })
+}
+
+/**
+ * The parameters of a literal Lambda, a name or an array of them, or null
+ * for any other expression.
+ * @private
+ */
+function lambdaParams(expr) {
+  expr = unwrap(expr)
+
+  if (!isExpression(expr) || !('lambda' in expr && 'expr' in expr)) {
+    return null
+  }
+
+  var params = unwrap(expr.lambda)
+
+  return Array.isArray(params) || typeof params === 'string' ? params : null
+}
+
+function isExpression(expr) {
+  return expr !== null && typeof expr === 'object' && !('object' in expr)
+}
+
+function unwrap(expr) {
+  if (expr instanceof Expr) {
+    // Values, such as refs, don't contain expressions.
+    return 'value' in expr ? null : expr.raw
+  }
+
+  return expr
+}
+
+function report(problems, severity, path, message) {
+  problems.push({ severity: severity, path: path, message: message })
+}
+
+module.exports = {
+  validate: validate,
+}
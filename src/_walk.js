@@ -0,0 +1,161 @@
+'use strict'
+
+var Expr = require('./Expr')
+var objectAssign = require('object-assign')
+
+/**
+ * Describes an expression as a node of {@link Expr.walk}.
+ * @private
+ */
+function describe(expr) {
+  var raw = expr instanceof Expr ? expr.raw : expr
+
+  if (expr instanceof Expr && 'value' in expr) {
+    return { type: 'value', expr: expr, value: expr }
+  }
+
+  if (Array.isArray(raw)) {
+    return { type: 'array', expr: expr, items: raw }
+  }
+
+  if (raw === null || typeof raw !== 'object') {
+    return { type: 'literal', expr: expr, value: raw }
+  }
+
+  if ('object' in raw) {
+    return { type: 'object', expr: expr, fields: raw.object }
+  }
+
+  if ('let' in raw && 'in' in raw) {
+    return {
+      type: 'let',
+      expr: expr,
+      bindings: bindings(raw['let']),
+      body: raw['in'],
+    }
+  }
+
+  if ('lambda' in raw && 'expr' in raw) {
+    var params = raw.lambda instanceof Expr ? raw.lambda.raw : raw.lambda
+
+    return { type: 'lambda', expr: expr, params: params, body: raw.expr }
+  }
+
+  var args = {}
+
+  Object.keys(raw).forEach(function(key) {
+    // Omitted optional arguments.
+    if (raw[key] !== undefined) {
+      args[key] = raw[key]
+    }
+  })
+
+  return { type: 'call', expr: expr, name: Object.keys(args)[0], args: args }
+}
+
+/**
+ * The bindings of a `let`, as an array of single bindings or an object.
+ * @private
+ */
+function bindings(raw) {
+  raw = raw instanceof Expr ? raw.raw : raw
+
+  if (!Array.isArray(raw)) {
+    return Object.keys(raw).map(function(name) {
+      return { name: name, value: raw[name], path: ['let', name] }
+    })
+  }
+
+  return raw.reduce(function(out, binding, i) {
+    binding = binding instanceof Expr ? binding.raw : binding
+
+    return out.concat(
+      Object.keys(binding).map(function(name) {
+        return { name: name, value: binding[name], path: ['let', i, name] }
+      })
+    )
+  }, [])
+}
+
+/**
+ * The subexpressions of a node, with their path relative to it.
+ * @private
+ */
+function children(node) {
+  switch (node.type) {
+    case 'array':
+      return node.items.map(function(item, i) {
+        return { path: [i], value: item }
+      })
+    case 'object':
+      return Object.keys(node.fields).map(function(key) {
+        return { path: ['object', key], value: node.fields[key] }
+      })
+    case 'let':
+      return node.bindings.concat({ path: ['in'], value: node.body })
+    case 'lambda':
+      return [{ path: ['expr'], value: node.body }]
+    case 'call':
+      return Object.keys(node.args).map(function(key) {
+        return { path: [key], value: node.args[key] }
+      })
+    default:
+      return []
+  }
+}
+
+function walk(expr, visitor, path) {
+  var node = describe(expr)
+
+  if (visitor(node, path) === false) {
+    return
+  }
+
+  children(node).forEach(function(child) {
+    walk(child.value, visitor, path.concat(child.path))
+  })
+}
+
+function transform(expr, fn, path) {
+  var node = describe(expr)
+  var result = expr
+
+  children(node).forEach(function(child) {
+    var value = transform(child.value, fn, path.concat(child.path))
+
+    if (value !== child.value) {
+      result = setIn(result, child.path, value)
+    }
+  })
+
+  var replacement = fn(result === expr ? node : describe(result), path)
+
+  return replacement === undefined ? result : replacement
+}
+
+/**
+ * Copies the containers along `path` to replace the value at its end,
+ * leaving the original untouched.
+ * @private
+ */
+function setIn(container, path, value) {
+  if (container instanceof Expr) {
+    return new Expr(setIn(container.raw, path, value))
+  }
+
+  var copy = Array.isArray(container)
+    ? container.slice()
+    : objectAssign({}, container)
+  var key = path[0]
+
+  copy[key] =
+    path.length === 1 ? value : setIn(container[key], path.slice(1), value)
+
+  return copy
+}
+
+module.exports = {
+  describe: describe,
+  walk: walk,
+  transform: transform,
+}
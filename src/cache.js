@@ -0,0 +1,383 @@
+'use strict'
+
+var errors = require('./errors')
+var fql = require('./_fql')
+var util = require('./_util')
+var values = require('./values')
+var walk = require('./_walk')
+
+var isNodeEnv = typeof window === 'undefined'
+
+/**
+ * The collections of the refs denoted by functions such as `Collection`, by
+ * wire name.
+ * @private
+ */
+var nativeCollections = {
+  collection: values.Native.COLLECTIONS,
+  class: values.Native.COLLECTIONS,
+  index: values.Native.INDEXES,
+  database: values.Native.DATABASES,
+  function: values.Native.FUNCTIONS,
+  role: values.Native.ROLES,
+}
+
+/**
+ * Response caching for read queries. Enabled with the `cache` option of
+ * {@link Client}, and exposed as {@link Client#cache}.
+ *
+ * @module cache
+ */
+
+/**
+ * The storage of a {@link Cache}. Each method may return a promise.
+ * Keys identify the secret of the cached query by its SHA-256 digest, so
+ * caches sharing a store share the entries of a secret without storing it.
+ *
+ * @typedef {Object} module:cache~Store
+ * @property {function(string): ?Object} get Returns the entry for a key.
+ * @property {function(string, Object)} set Stores an entry.
+ * @property {function(string)} delete Removes the entry for a key.
+ * @property {function()} clear Removes every entry.
+ */
+
+/**
+ * The default {@link module:cache~Store}: keeps entries in memory and
+ * evicts the least recently used one once `maxEntries` is reached.
+ *
+ * @param {?Object} options
+ * @param {?number} options.maxEntries
+ *   Maximum number of entries. Defaults to 1000.
+ * @constructor
+ */
+function MemoryStore(options) {
+  var opts = util.applyDefaults(options, { maxEntries: 1000 })
+
+  this._maxEntries = opts.maxEntries
+  this._entries = new Map()
+}
+
+MemoryStore.prototype.get = function(key) {
+  var entry = this._entries.get(key)
+
+  if (entry !== undefined) {
+    this._entries.delete(key)
+    this._entries.set(key, entry)
+  }
+
+  return entry
+}
+
+MemoryStore.prototype.set = function(key, entry) {
+  this._entries.delete(key)
+  this._entries.set(key, entry)
+
+  if (this._entries.size > this._maxEntries) {
+    this._entries.delete(this._entries.keys().next().value)
+  }
+}
+
+MemoryStore.prototype.delete = function(key) {
+  this._entries.delete(key)
+}
+
+MemoryStore.prototype.clear = function() {
+  this._entries.clear()
+}
+
+/**
+ * A read-through cache of query results. Generally constructed through the
+ * `cache` option of {@link Client}.
+ *
+ * Only queries that cannot write to the database and do not call
+ * non-deterministic functions such as `Now` or `NewId` are cached. Results
+ * are reused for `ttl` milliseconds, unless invalidated before.
+ *
+ * @param {?Object} options
+ * @param {?number} options.ttl
+ *   Time in milliseconds a result is reused. Defaults to 5000.
+ * @param {?number} options.maxEntries
+ *   Maximum number of cached results. Defaults to 1000.
+ * @param {?module:cache~Store} options.store
+ *   Where results are stored. Defaults to a {@link MemoryStore}.
+ * @constructor
+ */
+function Cache(options) {
+  var opts = util.applyDefaults(options === true ? {} : options, {
+    ttl: 5000,
+    maxEntries: 1000,
+    store: null,
+  })
+
+  this._ttl = opts.ttl
+  this._maxEntries = opts.maxEntries
+  this._store = opts.store || new MemoryStore({ maxEntries: opts.maxEntries })
+  this._refs = new Map()
+  this._generation = 0
+}
+
+/**
+ * Whether the result of a query can be cached.
+ * @private
+ */
+Cache.isCacheable = function(wire, options) {
+  return (
+    !(options && options.withMetrics) &&
+    fql.isReadOnly(wire) &&
+    fql.isDeterministic(wire)
+  )
+}
+
+/**
+ * Returns the cached result of the query `wire` run with `secret`, or calls
+ * `load` and caches the result. Callers get their own copy of the result.
+ * @private
+ */
+Cache.prototype.fetch = function(secret, wire, load) {
+  var self = this
+  var generation = this._generation
+  var key
+
+  return digest(secret)
+    .then(function(secretDigest) {
+      key = secretDigest + ':' + JSON.stringify(wire)
+      return self._store.get(key)
+    })
+    .then(function(entry) {
+      if (entry && entry.expiresAt > Date.now()) {
+        return copy(entry.value)
+      }
+
+      return load().then(function(value) {
+        if (self._generation !== generation) {
+          return value
+        }
+
+        self._index(key, queryRefs(wire).concat(resultRefs(value)))
+
+        return Promise.resolve(
+          self._store.set(key, {
+            value: copy(value),
+            expiresAt: Date.now() + self._ttl,
+          })
+        ).then(function() {
+          return value
+        })
+      })
+    })
+}
+
+/**
+ * Removes the cached results of the queries that mention `ref`, either in
+ * the expression or in the result.
+ *
+ * @param {Ref} ref
+ * @return {external:Promise<void>}
+ */
+Cache.prototype.invalidate = function(ref) {
+  if (!(ref instanceof values.Ref)) {
+    throw new errors.InvalidValue('Only refs can be invalidated')
+  }
+
+  var refKey = JSON.stringify(ref)
+  var keys = []
+
+  this._generation++
+  this._refs.forEach(function(refKeys, key) {
+    if (refKeys.indexOf(refKey) >= 0) {
+      keys.push(key)
+    }
+  })
+
+  return this._delete(keys)
+}
+
+/**
+ * Removes every cached result.
+ *
+ * @return {external:Promise<void>}
+ */
+Cache.prototype.clear = function() {
+  this._generation++
+  this._refs.clear()
+  return Promise.resolve(this._store.clear()).then(function() {})
+}
+
+Cache.prototype._index = function(key, refs) {
+  this._refs.delete(key)
+  this._refs.set(
+    key,
+    refs.map(function(ref) {
+      return JSON.stringify(ref)
+    })
+  )
+
+  // Results that are no longer indexed could not be invalidated.
+  if (this._refs.size > this._maxEntries) {
+    this._delete([this._refs.keys().next().value])
+  }
+}
+
+Cache.prototype._delete = function(keys) {
+  var self = this
+
+  return Promise.all(
+    keys.map(function(key) {
+      self._refs.delete(key)
+      return self._store.delete(key)
+    })
+  ).then(function() {})
+}
+
+/**
+ * Copies the arrays and objects of a result. Values such as refs are shared,
+ * as they are not modified.
+ * @private
+ */
+function copy(value) {
+  if (Array.isArray(value)) {
+    return value.map(copy)
+  }
+
+  if (
+    value === null ||
+    typeof value !== 'object' ||
+    value instanceof values.Value
+  ) {
+    return value
+  }
+
+  var result = {}
+
+  Object.keys(value).forEach(function(key) {
+    result[key] = copy(value[key])
+  })
+
+  return result
+}
+
+/**
+ * Resolves to the SHA-256 digest of a secret, in hex.
+ * @private
+ */
+function digest(secret) {
+  if (isNodeEnv) {
+    return Promise.resolve(
+      require('crypto')
+        .createHash('sha256')
+        .update(secret)
+        .digest('hex')
+    )
+  }
+
+  return window.crypto.subtle
+    .digest('SHA-256', new TextEncoder().encode(secret))
+    .then(function(hash) {
+      return Array.prototype.map
+        .call(new Uint8Array(hash), function(byte) {
+          return (byte < 16 ? '0' : '') + byte.toString(16)
+        })
+        .join('')
+    })
+}
+
+/**
+ * Returns the refs found in a query expression, both refs values and the
+ * refs built by functions such as `Ref` and `Collection` from literals.
+ * @private
+ */
+function queryRefs(wire) {
+  var refs = []
+
+  walk.walk(
+    wire,
+    function(node) {
+      var ref = literalRef(node)
+
+      if (ref !== null) {
+        refs.push(ref)
+        return false
+      }
+    },
+    []
+  )
+
+  return refs
+}
+
+/**
+ * The ref denoted by a node, or null when it is not a ref or depends on
+ * other expressions.
+ * @private
+ */
+function literalRef(node) {
+  if (node.type === 'value') {
+    return node.value instanceof values.Ref ? node.value : null
+  }
+
+  if (node.type !== 'call') {
+    return null
+  }
+
+  var args = node.args
+  var scope = null
+
+  if ('scope' in args) {
+    scope = literalRef(walk.describe(args.scope))
+
+    if (scope === null) {
+      return null
+    }
+  }
+
+  if (node.name === 'ref') {
+    var collection = literalRef(walk.describe(args.ref))
+    var id = walk.describe(args.id)
+
+    return collection !== null && isName(id)
+      ? new values.Ref(id.value, collection)
+      : null
+  }
+
+  var name = walk.describe(args[node.name])
+
+  return node.name in nativeCollections && isName(name)
+    ? new values.Ref(name.value, nativeCollections[node.name], scope)
+    : null
+}
+
+function isName(node) {
+  return (
+    node.type === 'literal' &&
+    (typeof node.value === 'string' || typeof node.value === 'number')
+  )
+}
+
+/**
+ * Returns the refs found in a query result.
+ * @private
+ */
+function resultRefs(value) {
+  if (value instanceof values.Ref) {
+    return [value]
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return []
+  }
+
+  var items = Array.isArray(value)
+    ? value
+    : Object.keys(value).map(function(key) {
+        return value[key]
+      })
+
+  return items.reduce(function(refs, item) {
+    return refs.concat(resultRefs(item))
+  }, [])
+}
+
+module.exports = {
+  Cache: Cache,
+  MemoryStore: MemoryStore,
+}
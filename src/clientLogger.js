@@ -1,6 +1,8 @@
 'use strict'
 
+var Expr = require('./Expr')
 var json = require('./_json')
+var util = require('./_util')
 
 /**
  * Functions to assist with debug logging.
@@ -41,7 +43,15 @@ var json = require('./_json')
  * Response (201): Network latency 13ms
  * ```
  *
+ * With the `fql` option, queries are logged as pretty printed FQL instead:
+ * ```plain
+ * Fauna POST /
+ * Request FQL: Create(Collection("frogs"), {data: {name: "Kermit"}})
+ * ...
+ * ```
+ *
  * @param {loggerCallback} loggerFunction
+ * @param {?Object} options See {@link showRequestResult}.
  * @return {Client~observerCallback}
  * @example
  * var client = new Client({
@@ -50,9 +60,9 @@ var json = require('./_json')
  * })
  * client.ping() // Logs the request and response.
  */
-function logger(loggerFunction) {
+function logger(loggerFunction, options) {
   return function(requestResult, client) {
-    return loggerFunction(showRequestResult(requestResult), client)
+    return loggerFunction(showRequestResult(requestResult, options), client)
   }
 }
 
@@ -60,9 +70,23 @@ function logger(loggerFunction) {
  * Convenience function used by {@link logger} to transform a {@link RequestResult}
  * to a string for logging.
  * @param {RequestResult} requestResult
+ * @param {?Object} options
+ * @param {?boolean} options.fql
+ *   Shows the queries as FQL, printed by {@link Expr.toString}, instead of
+ *   their JSON. Defaults to false.
+ * @param {?number} options.indent
+ *   Spaces per level of indentation of the FQL. Defaults to 2.
+ * @param {?number} options.maxWidth
+ *   Width of the lines of the FQL. Defaults to 80.
  * @returns {string} string to be logged.
  */
-function showRequestResult(requestResult) {
+function showRequestResult(requestResult, options) {
+  options = util.applyDefaults(options, {
+    fql: false,
+    indent: 2,
+    maxWidth: 80,
+  })
+
   var query = requestResult.query,
     method = requestResult.method,
     path = requestResult.path,
@@ -79,7 +103,9 @@ function showRequestResult(requestResult) {
   }
 
   log('Fauna ' + method + ' /' + path + _queryString(query) + '\n')
-  if (requestContent != null) {
+  if (options.fql && requestContent instanceof Expr) {
+    log('  Request FQL: ' + _showFQL(requestContent, options) + '\n')
+  } else if (requestContent != null) {
     log('  Request JSON: ' + _showJSON(requestContent) + '\n')
   }
   log('  Response headers: ' + _showJSON(responseHeaders) + '\n')
@@ -98,6 +124,16 @@ function _showJSON(object) {
   return _indent(json.toJSON(object, true))
 }
 
+function _showFQL(expr, options) {
+  return _indent(
+    Expr.toString(expr, {
+      pretty: true,
+      indent: options.indent,
+      maxWidth: options.maxWidth,
+    })
+  )
+}
+
 function _queryString(query) {
   if (query == null) {
     return ''
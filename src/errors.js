@@ -98,6 +98,154 @@ function InvalidArity(min, max, actual, callerFunc) {
 
 util.inherits(InvalidArity, FaunaError)
 
+/**
+ * Exception thrown by {@link Expr.parse} when its input is not a valid FQL
+ * expression.
+ *
+ * @param {string} message
+ * @param {number} line The line of the error, starting at 1.
+ * @param {number} column The column of the error, starting at 1.
+ * @extends module:errors~FaunaError
+ * @constructor
+ */
+function ParseError(message, line, column) {
+  FaunaError.call(
+    this,
+    'ParseError',
+    message + ' at line ' + line + ', column ' + column
+  )
+
+  /**
+   * Line of the error, starting at 1.
+   * @type {number}
+   */
+  this.line = line
+
+  /**
+   * Column of the error, starting at 1.
+   * @type {number}
+   */
+  this.column = column
+}
+
+util.inherits(ParseError, FaunaError)
+
+/**
+ * Exception thrown by a {@link Client} with the `validate` option, without
+ * sending the query, when {@link module:query~validate} finds errors in it.
+ *
+ * @param {Array<module:query~Problem>} problems The problems found.
+ * @extends module:errors~FaunaError
+ * @constructor
+ */
+function InvalidQuery(problems) {
+  FaunaError.call(
+    this,
+    'InvalidQuery',
+    problems
+      .map(function(problem) {
+        return problem.message + ' at ' + JSON.stringify(problem.path)
+      })
+      .join('; ')
+  )
+
+  /**
+   * The problems found, including warnings.
+   * @type {Array<module:query~Problem>}
+   */
+  this.problems = problems
+}
+
+util.inherits(InvalidQuery, FaunaError)
+
+/**
+ * Exception thrown by this client library when a request is cancelled
+ * through an `AbortSignal` or exceeds its timeout.
+ *
+ * @param {string} message
+ * @param {boolean} timedOut
+ * @extends module:errors~FaunaError
+ * @constructor
+ */
+function RequestAborted(message, timedOut) {
+  FaunaError.call(this, 'RequestAborted', message)
+
+  /**
+   * True if the request was aborted because it exceeded its timeout.
+   * @type {boolean}
+   */
+  this.timedOut = !!timedOut
+}
+
+util.inherits(RequestAborted, FaunaError)
+
+/**
+ * Exception thrown by this client library when a query is issued on a
+ * closed {@link Client}, or when a closing client aborts an in-flight query.
+ *
+ * @extends module:errors~RequestAborted
+ * @constructor
+ */
+function ClientClosed() {
+  RequestAborted.call(this, 'Client is closed', false)
+  this.name = 'ClientClosed'
+}
+
+util.inherits(ClientClosed, RequestAborted)
+
+/**
+ * Exception thrown by this client library when a query waited longer than
+ * its queue timeout for the concurrency or rate limits of its {@link Client}.
+ *
+ * @param {number} timeout The queue timeout, in milliseconds.
+ * @extends module:errors~RequestAborted
+ * @constructor
+ */
+function QueueTimeout(timeout) {
+  RequestAborted.call(
+    this,
+    'Query waited more than ' + timeout + 'ms in queue',
+    false
+  )
+  this.name = 'QueueTimeout'
+}
+
+util.inherits(QueueTimeout, RequestAborted)
+
+/**
+ * Exception thrown by this client library when the circuit breaker of a
+ * {@link Client} is open, without sending the request.
+ *
+ * @extends module:errors~FaunaError
+ * @constructor
+ */
+function CircuitOpenError() {
+  FaunaError.call(this, 'CircuitOpenError', 'Circuit breaker is open')
+}
+
+util.inherits(CircuitOpenError, FaunaError)
+
+/**
+ * Exception dispatched by a {@link Subscription} when the FaunaDB server
+ * reports an error event on an open stream.
+ *
+ * @param {string} code
+ * @param {string} description
+ * @extends module:errors~FaunaError
+ * @constructor
+ */
+function StreamError(code, description) {
+  FaunaError.call(this, 'StreamError', description)
+
+  /**
+   * The error code sent by the server.
+   * @type {string}
+   */
+  this.code = code
+}
+
+util.inherits(StreamError, FaunaError)
+
 /**
  * Base exception type for errors returned by the FaunaDB server.
  *
@@ -187,6 +335,18 @@ function Unauthorized(requestResult) {
 
 util.inherits(Unauthorized, FaunaHTTPError)
 
+/**
+ * A HTTP 401 error for a query of a {@link Session} whose token expired.
+ * @param {RequestResult} requestResult
+ * @extends module:errors~Unauthorized
+ * @constructor
+ */
+function TokenExpired(requestResult) {
+  FaunaHTTPError.call(this, 'TokenExpired', requestResult)
+}
+
+util.inherits(TokenExpired, Unauthorized)
+
 /**
  * A HTTP 403 error.
  * @param {RequestResult} requestResult
@@ -251,8 +411,16 @@ module.exports = {
   FaunaHTTPError: FaunaHTTPError,
   InvalidValue: InvalidValue,
   InvalidArity: InvalidArity,
+  ParseError: ParseError,
+  InvalidQuery: InvalidQuery,
+  RequestAborted: RequestAborted,
+  ClientClosed: ClientClosed,
+  QueueTimeout: QueueTimeout,
+  CircuitOpenError: CircuitOpenError,
+  StreamError: StreamError,
   BadRequest: BadRequest,
   Unauthorized: Unauthorized,
+  TokenExpired: TokenExpired,
   PermissionDenied: PermissionDenied,
   NotFound: NotFound,
   MethodNotAllowed: MethodNotAllowed,
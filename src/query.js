@@ -5,6 +5,7 @@ var deprecate = require('util-deprecate')
 var Expr = require('./Expr')
 var errors = require('./errors')
 var values = require('./values')
+var validation = require('./_validate')
 var objectAssign = require('object-assign')
 
 /**
@@ -2890,6 +2891,38 @@ function defaults(param, def) {
   }
 }
 
+/**
+ * A problem found by {@link validate}.
+ *
+ * @typedef {Object} module:query~Problem
+ * @property {'error'|'warning'} severity
+ *   Errors fail the query, warnings point out mistakes and deprecations.
+ * @property {Array<string|number>} path
+ *   The keys leading to the problem in the JSON of the expression.
+ * @property {string} message
+ */
+
+/**
+ * Checks an expression for mistakes that would otherwise only be reported by
+ * FaunaDB: unbound variables, lambdas taking the wrong number of parameters
+ * for `Reduce`, `Merge` or the literal arrays given to `Map`, `Filter` and
+ * `Foreach`, and unknown keys in the options of `Paginate` and the params of
+ * the schema functions. Shadowed bindings and deprecated functions are
+ * reported as warnings.
+ *
+ * ```
+ * validate(Map([1, 2], Lambda('x', Add(Var('y'), 1))))
+ * // [{ severity: 'error', path: ['map', 'expr', 'add', 0], message: 'Unbound variable y' }]
+ * ```
+ *
+ * @param {module:query~ExprArg} expr The expression to check.
+ * @return {Array<module:query~Problem>} The problems, empty if none.
+ */
+function validate(expr) {
+  arity.exact(1, arguments, validate.name)
+  return validation.validate(wrap(expr))
+}
+
 /**
  * Wraps an object as an Expression. This will automatically wrap any bare objects with
  * the appropriate {@link object} escaping.
@@ -3151,4 +3184,5 @@ module.exports = {
   MoveDatabase: MoveDatabase,
   Documents: Documents,
   wrap: wrap,
+  validate: validate,
 }
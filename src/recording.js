@@ -0,0 +1,277 @@
+'use strict'
+
+/**
+ * Records the traffic of a {@link Client} and replays it, so tests can run
+ * recorded sessions without a database.
+ *
+ * Recordings are NDJSON: one JSON object per request, with its `method`,
+ * `path`, `query`, `requestRaw`, `status`, `responseHeaders` and
+ * `responseRaw`. The values of `secret` and `password` fields are redacted.
+ *
+ * @module recording
+ */
+
+var redacted = '<redacted>'
+var redactedFields = ['secret', 'password']
+
+// These describe the response body as received, not as it is replayed.
+var droppedHeaders = ['content-encoding', 'content-length']
+
+/**
+ * Creates an observer writing each {@link RequestResult} of a client as a
+ * line of NDJSON.
+ *
+ * @example
+ * var client = new faunadb.Client({
+ *   secret: 'YOUR_FAUNADB_SECRET',
+ *   observer: faunadb.recording.observer('session.ndjson'),
+ * })
+ *
+ * @param {string|function(string)} target
+ *   The file the recording is appended to, in Node.js, or a function called
+ *   with every line.
+ * @return {Client~observerCallback}
+ */
+function observer(target) {
+  var write =
+    typeof target === 'function'
+      ? target
+      : function(line) {
+          require('fs').appendFileSync(target, line)
+        }
+
+  return function(requestResult) {
+    write(JSON.stringify(record(requestResult)) + '\n')
+  }
+}
+
+/**
+ * Returns the recording of a {@link RequestResult}.
+ * @private
+ */
+function record(requestResult) {
+  var headers = {}
+
+  Object.keys(requestResult.responseHeaders || {}).forEach(function(name) {
+    if (droppedHeaders.indexOf(name.toLowerCase()) < 0) {
+      headers[name] = requestResult.responseHeaders[name]
+    }
+  })
+
+  return {
+    method: requestResult.method,
+    path: requestResult.path,
+    query: requestResult.query || null,
+    requestRaw: redactRaw(requestResult.requestRaw),
+    status: requestResult.statusCode,
+    responseHeaders: headers,
+    responseRaw: redactRaw(requestResult.responseRaw),
+  }
+}
+
+/**
+ * Parses an NDJSON recording.
+ *
+ * @param {string} text
+ * @return {Array<Object>} The recorded requests.
+ */
+function parse(text) {
+  return text
+    .split('\n')
+    .filter(function(line) {
+      return line.trim() !== ''
+    })
+    .map(function(line) {
+      return JSON.parse(line)
+    })
+}
+
+/**
+ * A {@link module:transport~Transport} serving recorded responses to the
+ * requests matching the method, path, query and body of a recorded request.
+ * Identical requests are served their recordings in order, and the last
+ * one once they are used up.
+ *
+ * Requests matching no recording fail with an error showing how they differ
+ * from the closest recorded request. Request bodies are matched as sent, so
+ * the client should not use the `compression` option.
+ *
+ * @example
+ * var client = new faunadb.Client({
+ *   secret: 'test',
+ *   transport: new faunadb.recording.ReplayTransport('session.ndjson'),
+ * })
+ *
+ * @param {string|Array<Object>} recording
+ *   The recorded requests, or the NDJSON file holding them, in Node.js.
+ * @constructor
+ */
+function ReplayTransport(recording) {
+  this._entries = (typeof recording === 'string'
+    ? parse(require('fs').readFileSync(recording, 'utf8'))
+    : recording
+  ).map(function(entry) {
+    return { recorded: entry, request: normalize(entry), used: false }
+  })
+}
+
+ReplayTransport.prototype.request = function(request) {
+  var actual = normalize({
+    method: request.method,
+    path: request.path,
+    query: request.query,
+    requestRaw: request.body,
+  })
+  var matches = this._entries.filter(function(entry) {
+    return differences(entry.request, actual, '', []).length === 0
+  })
+
+  if (matches.length === 0) {
+    return Promise.reject(new Error(mismatch(this._entries, actual)))
+  }
+
+  var entry =
+    matches.filter(function(match) {
+      return !match.used
+    })[0] || matches[matches.length - 1]
+
+  entry.used = true
+
+  return Promise.resolve(createResponse(entry.recorded))
+}
+
+function createResponse(recorded) {
+  var headers = new Map()
+
+  Object.keys(recorded.responseHeaders || {}).forEach(function(name) {
+    headers.set(name.toLowerCase(), String(recorded.responseHeaders[name]))
+  })
+
+  return {
+    status: recorded.status,
+    headers: headers,
+    text: function() {
+      return Promise.resolve(recorded.responseRaw)
+    },
+  }
+}
+
+/**
+ * The parts of a request that are matched, with its body parsed and
+ * redacted the way recordings are.
+ * @private
+ */
+function normalize(request) {
+  var body = request.requestRaw
+
+  if (typeof body === 'string') {
+    try {
+      body = redact(JSON.parse(body))
+    } catch (error) {
+      // Matched as is.
+    }
+  }
+
+  return {
+    method: request.method,
+    path: request.path || '',
+    query: request.query || null,
+    body: body === undefined ? null : body,
+  }
+}
+
+function mismatch(entries, actual) {
+  var message = 'No recorded request for ' + actual.method + ' /' + actual.path
+
+  if (entries.length === 0) {
+    return message + ': the recording is empty'
+  }
+
+  var closest = entries
+    .map(function(entry) {
+      return differences(entry.request, actual, '', [])
+    })
+    .reduce(function(best, diff) {
+      return diff.length < best.length ? diff : best
+    })
+
+  return (
+    message +
+    '. Differences with the closest recorded request:\n' +
+    closest.join('\n')
+  )
+}
+
+/**
+ * Lists the differences between a recorded and an actual value, as lines of
+ * a diff.
+ * @private
+ */
+function differences(recorded, actual, path, out) {
+  if (isObject(recorded) && isObject(actual)) {
+    var keys = Object.keys(recorded)
+
+    Object.keys(actual).forEach(function(key) {
+      if (keys.indexOf(key) < 0) {
+        keys.push(key)
+      }
+    })
+
+    keys.forEach(function(key) {
+      differences(recorded[key], actual[key], path + '.' + key, out)
+    })
+  } else if (Array.isArray(recorded) && Array.isArray(actual)) {
+    for (var i = 0; i < Math.max(recorded.length, actual.length); i++) {
+      differences(recorded[i], actual[i], path + '[' + i + ']', out)
+    }
+  } else if (JSON.stringify(recorded) !== JSON.stringify(actual)) {
+    out.push('  at ' + path)
+    out.push('  - ' + JSON.stringify(recorded))
+    out.push('  + ' + JSON.stringify(actual))
+  }
+
+  return out
+}
+
+function redactRaw(raw) {
+  if (typeof raw !== 'string') {
+    return null
+  }
+
+  try {
+    return JSON.stringify(redact(JSON.parse(raw)))
+  } catch (error) {
+    return raw
+  }
+}
+
+function redact(value) {
+  if (Array.isArray(value)) {
+    return value.map(redact)
+  }
+
+  if (!isObject(value)) {
+    return value
+  }
+
+  var out = {}
+
+  Object.keys(value).forEach(function(key) {
+    out[key] =
+      redactedFields.indexOf(key) >= 0 && typeof value[key] === 'string'
+        ? redacted
+        : redact(value[key])
+  })
+
+  return out
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+module.exports = {
+  observer: observer,
+  parse: parse,
+  ReplayTransport: ReplayTransport,
+}
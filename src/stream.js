@@ -0,0 +1,336 @@
+'use strict'
+
+var errors = require('./errors')
+var json = require('./_json')
+var query = require('./query')
+
+/**
+ * Event streaming support. Streams are opened through {@link Client#stream}.
+ *
+ * @module stream
+ */
+
+var eventTypes = ['start', 'version', 'history_rewrite', 'error']
+
+/**
+ * A callback that receives the events of a {@link Subscription}.
+ *
+ * @callback Subscription~eventHandler
+ * @param {*} data
+ *   The event payload: the transaction time for `start`, the changed document
+ *   data for `version` and `history_rewrite`, or an error for `error`.
+ * @param {?Object} event
+ *   The raw event, with its `type`, `txn` and `event` fields.
+ */
+
+/**
+ * A subscription to a FaunaDB event stream. Generally constructed
+ * through {@link Client#stream}.
+ *
+ * Handlers are registered with {@link Subscription#on}, and the stream is
+ * opened with {@link Subscription#start}. Alternatively, the subscription can
+ * be consumed with `for await (const event of subscription)`, which opens the
+ * stream on the first iteration and yields raw events until it is closed.
+ *
+ * Errors go to the `error` handlers, or are thrown by the iteration. Without
+ * either, they surface as unhandled promise rejections.
+ *
+ * @param {Client} client
+ *   The FaunaDB client used to open the stream.
+ * @param {Expr} expression
+ *   A document ref or a set expression to stream events for.
+ * @param {?Object} options
+ *   Stream options, see {@link Client#stream}.
+ * @constructor
+ */
+function Subscription(client, expression, options) {
+  this._client = client
+  this._data = query.wrap(expression)
+  this._options = options === undefined ? {} : options
+  this._handlers = {}
+  this._state = 'idle'
+  this._controller = null
+  this._cancel = null
+  this._untrack = null
+  this._iterating = false
+  this._events = []
+  this._pending = []
+  this._error = null
+}
+
+/**
+ * Registers a handler for an event type.
+ *
+ * @param {('start'|'version'|'history_rewrite'|'error')} type
+ *   The event type to listen to.
+ * @param {Subscription~eventHandler} callback
+ * @return {Subscription} This subscription, for chaining.
+ */
+Subscription.prototype.on = function(type, callback) {
+  if (eventTypes.indexOf(type) === -1) {
+    throw new errors.InvalidValue('Unknown stream event type: ' + type)
+  }
+
+  this._handlers[type] = this._handlers[type] || []
+  this._handlers[type].push(callback)
+  return this
+}
+
+/**
+ * Opens the stream. Has no effect if the stream is already open or closed.
+ *
+ * @return {Subscription} This subscription, for chaining.
+ */
+Subscription.prototype.start = function() {
+  if (this._state !== 'idle') {
+    return this
+  }
+
+  var self = this
+  this._state = 'connecting'
+  this._untrack = this._client._trackSubscription(this)
+  this._controller =
+    typeof AbortController === 'undefined' ? null : new AbortController()
+
+  this._client
+    ._openStream(
+      this._data,
+      this._options,
+      this._controller ? this._controller.signal : undefined
+    )
+    .then(function(response) {
+      var reader = lineReader(response.body, function(line) {
+        self._onLine(line)
+      })
+
+      self._cancel = reader.cancel
+
+      if (self._state === 'closed') {
+        reader.cancel()
+        return
+      }
+
+      self._state = 'open'
+      return reader.done
+    })
+    .then(
+      function() {
+        self.close()
+      },
+      function(error) {
+        if (self._state !== 'closed') {
+          self._fail(error)
+        }
+      }
+    )
+
+  return this
+}
+
+/**
+ * Closes the stream. Pending iterations of the subscription complete.
+ * Closing the client closes its subscriptions too.
+ */
+Subscription.prototype.close = function() {
+  if (this._state === 'closed') {
+    return
+  }
+
+  this._state = 'closed'
+
+  if (this._untrack !== null) {
+    this._untrack()
+  }
+
+  if (this._controller !== null) {
+    this._controller.abort()
+  }
+
+  if (this._cancel !== null) {
+    this._cancel()
+  }
+
+  this._pending.splice(0).forEach(function(pending) {
+    pending.resolve({ value: undefined, done: true })
+  })
+}
+
+if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+  /**
+   * Iterates over the raw events of the stream, opening it if needed.
+   *
+   * @function
+   * @name Subscription#@@asyncIterator
+   * @return {AsyncIterator<Object>}
+   */
+  Subscription.prototype[Symbol.asyncIterator] = function() {
+    var self = this
+    this._iterating = true
+    this.start()
+
+    return {
+      next: function() {
+        if (self._events.length > 0) {
+          return Promise.resolve({ value: self._events.shift(), done: false })
+        }
+
+        if (self._error !== null) {
+          var error = self._error
+          self._error = null
+          return Promise.reject(error)
+        }
+
+        if (self._state === 'closed') {
+          return Promise.resolve({ value: undefined, done: true })
+        }
+
+        return new Promise(function(resolve, reject) {
+          self._pending.push({ resolve: resolve, reject: reject })
+        })
+      },
+      return: function() {
+        self.close()
+        return Promise.resolve({ value: undefined, done: true })
+      },
+    }
+  }
+}
+
+Subscription.prototype._onLine = function(line) {
+  if (this._state === 'closed') {
+    return
+  }
+
+  var event = json.parseJSON(line)
+
+  if (typeof event.txn === 'number') {
+    this._client.syncLastTxnTime(event.txn)
+  }
+
+  if (event.type === 'error') {
+    var description = event.event || {}
+    this._fail(
+      new errors.StreamError(description.code, description.description)
+    )
+    return
+  }
+
+  this._dispatch(event.type, event.event, event)
+
+  if (this._pending.length > 0) {
+    this._pending.shift().resolve({ value: event, done: false })
+  } else if (this._iterating) {
+    // Kept for the next iteration only, handlers have already seen it.
+    this._events.push(event)
+  }
+}
+
+Subscription.prototype._fail = function(error) {
+  var pending = this._pending.splice(0)
+
+  this._dispatch('error', error, null)
+
+  if (pending.length > 0) {
+    pending.forEach(function(p) {
+      p.reject(error)
+    })
+  } else if (this._iterating) {
+    if (!this._handlers['error']) {
+      // Thrown by the next iteration.
+      this._error = error
+    }
+  } else if (!this._handlers['error']) {
+    // Like an `error` event without listeners, the error is not swallowed.
+    Promise.reject(error)
+  }
+
+  this.close()
+}
+
+Subscription.prototype._dispatch = function(type, data, event) {
+  var handlers = this._handlers[type] || []
+
+  handlers.forEach(function(handler) {
+    handler(data, event)
+  })
+}
+
+/**
+ * Reads a streaming response body, calling `onLine` for every non-empty
+ * line. Supports both WHATWG readable streams and Node.js streams.
+ * Returns a `done` promise, settled when the body ends, and a `cancel`
+ * function that stops reading.
+ * @private
+ */
+function lineReader(body, onLine) {
+  var buffer = ''
+
+  function push(text) {
+    buffer += text
+
+    var lines = buffer.split('\n')
+    buffer = lines.pop()
+
+    lines.forEach(function(line) {
+      if (line.trim() !== '') {
+        onLine(line)
+      }
+    })
+  }
+
+  if (typeof body.getReader === 'function') {
+    var reader = body.getReader()
+    var textDecoder = new TextDecoder('utf-8')
+
+    var read = function() {
+      return reader.read().then(function(result) {
+        if (result.done) {
+          return push('\n')
+        }
+
+        push(textDecoder.decode(result.value, { stream: true }))
+        return read()
+      })
+    }
+
+    return {
+      done: read(),
+      cancel: function() {
+        reader.cancel().catch(function() {})
+      },
+    }
+  }
+
+  var StringDecoder = require('string_decoder').StringDecoder
+  var decoder = new StringDecoder('utf8')
+
+  return {
+    done: new Promise(function(resolve, reject) {
+      body.on('data', function(chunk) {
+        try {
+          push(typeof chunk === 'string' ? chunk : decoder.write(chunk))
+        } catch (error) {
+          reject(error)
+          body.destroy()
+        }
+      })
+      body.on('end', function() {
+        try {
+          push(decoder.end() + '\n')
+          resolve()
+        } catch (error) {
+          reject(error)
+        }
+      })
+      body.on('close', resolve)
+      body.on('error', reject)
+    }),
+    cancel: function() {
+      body.destroy()
+    },
+  }
+}
+
+module.exports = {
+  Subscription: Subscription,
+}
@@ -0,0 +1,197 @@
+'use strict'
+
+var json = require('./_json')
+var query = require('./query')
+
+/**
+ * Transports send the HTTP requests of a {@link Client}. The default one uses
+ * `fetch`, and another can be given with the `transport` option, such as a
+ * {@link module:transport~MockTransport} for offline tests.
+ *
+ * @module transport
+ */
+
+/**
+ * The interface of transports: a `request(request)` method resolving to a
+ * response.
+ *
+ * Responses are a subset of the fetch API `Response`: a numeric `status`,
+ * `headers` with `get(name)`, `has(name)` and `entries()` methods (a `Map`
+ * with lowercase keys will do), and a `text()` method resolving to the body.
+ * Event streams also need a readable `body`, and compressed responses an
+ * `arrayBuffer()` method.
+ *
+ * @typedef {Object} module:transport~Transport
+ * @property {function(module:transport~Request): Promise<Object>} request
+ */
+
+/**
+ * A request sent through a {@link module:transport~Transport}.
+ *
+ * @typedef {Object} module:transport~Request
+ * @property {string} method The HTTP method.
+ * @property {string} url The full URL of the request.
+ * @property {string} path The path of the request, such as `''` for queries.
+ * @property {?Object} query URL query parameters.
+ * @property {?(string|Uint8Array)} body
+ *   The request body: the wire JSON of the query, or its compressed bytes.
+ * @property {Object} headers The request headers.
+ * @property {?AbortSignal} signal Aborts the request when it fires.
+ * @property {?number} timeout
+ *   Read timeout in milliseconds, set instead of `signal` where
+ *   `AbortController` is missing, such as Node.js before 15.
+ * @property {?Object} agent The Node.js http agent of the endpoint.
+ */
+
+/**
+ * The default transport, sending requests with `fetch`.
+ *
+ * @param {function} fetch
+ *   A fetch compatible [API](https://developer.mozilla.org/en-US/docs/Web/API/Fetch_API).
+ * @constructor
+ */
+function FetchTransport(fetch) {
+  this._fetch = fetch
+}
+
+FetchTransport.prototype.request = function(request) {
+  var init = {
+    agent: request.agent,
+    body: request.body,
+    headers: request.headers,
+    method: request.method,
+    signal: request.signal,
+    timeout: request.timeout,
+  }
+
+  // The client decodes the responses it asked to be compressed, so
+  // node-fetch hands them over as they were received.
+  if (request.headers['Accept-Encoding'] !== undefined) {
+    init.compress = false
+  }
+
+  return this._fetch(request.url, init)
+}
+
+/**
+ * A transport answering queries with canned responses, without a database.
+ * Every request is recorded in `calls`.
+ *
+ * Request bodies are matched as is, so the client should not use the
+ * `compression` option. Event streams are not supported.
+ *
+ * @example
+ * var transport = new faunadb.transport.MockTransport()
+ *   .respond(q.Get(ref), { resource: { ref: ref, data: {} } })
+ *   .respond(
+ *     function(body) { return 'create' in body },
+ *     { status: 400, errors: [{ code: 'validation failed' }] }
+ *   )
+ * var client = new faunadb.Client({ secret: 'test', transport: transport })
+ *
+ * @constructor
+ */
+function MockTransport() {
+  this._responses = []
+  /**
+   * The requests sent so far, in order, with their body parsed as `data`.
+   * @type {Array<Object>}
+   */
+  this.calls = []
+}
+
+/**
+ * Answers the requests matching `matcher` with `response`. The first
+ * matching response registered wins.
+ *
+ * @param {Expr|string|function} matcher
+ *   An expression or value sent as the query, its exact wire JSON, or a
+ *   predicate called with the parsed request body and the
+ *   {@link module:transport~Request}.
+ * @param {Object|function} response
+ *   A response, or a function of the request returning one. Its `resource`
+ *   or `errors` become the response body. Its `status` defaults to 200, or
+ *   400 with `errors`. Its `headers` object is sent as response headers.
+ * @return {MockTransport} this transport, for chaining.
+ */
+MockTransport.prototype.respond = function(matcher, response) {
+  this._responses.push({ matches: toPredicate(matcher), response: response })
+  return this
+}
+
+MockTransport.prototype.request = function(request) {
+  var data =
+    typeof request.body === 'string' ? json.parseJSON(request.body) : null
+
+  this.calls.push({
+    method: request.method,
+    path: request.path,
+    query: request.query,
+    headers: request.headers,
+    body: request.body,
+    data: data,
+  })
+
+  for (var i = 0; i < this._responses.length; i++) {
+    if (this._responses[i].matches(request.body, data, request)) {
+      var response = this._responses[i].response
+
+      return Promise.resolve(
+        createResponse(
+          typeof response === 'function' ? response(request) : response
+        )
+      )
+    }
+  }
+
+  return Promise.reject(
+    new Error('No mock response for ' + request.method + ' ' + request.body)
+  )
+}
+
+function toPredicate(matcher) {
+  if (typeof matcher === 'function') {
+    return function(body, data, request) {
+      return data !== null && matcher(data, request)
+    }
+  }
+
+  var wire =
+    typeof matcher === 'string' ? matcher : JSON.stringify(query.wrap(matcher))
+
+  return function(body) {
+    return body === wire
+  }
+}
+
+function createResponse(response) {
+  var content =
+    response.errors === undefined
+      ? { resource: response.resource }
+      : { errors: response.errors }
+  var status =
+    response.status === undefined
+      ? response.errors === undefined
+        ? 200
+        : 400
+      : response.status
+  var headers = new Map()
+  var text = JSON.stringify(content)
+
+  Object.keys(response.headers || {}).forEach(function(name) {
+    headers.set(name.toLowerCase(), String(response.headers[name]))
+  })
+
+  return {
+    status: status,
+    headers: headers,
+    text: function() {
+      return Promise.resolve(text)
+    },
+  }
+}
+
+module.exports = {
+  FetchTransport: FetchTransport,
+  MockTransport: MockTransport,
+}
@@ -0,0 +1,109 @@
+'use strict'
+
+/**
+ * Stores for the last seen transaction time, shared between clients through
+ * the `txnTimeStore` option of {@link Client}.
+ *
+ * A store has a `get()` method returning the last seen transaction time, or
+ * null, and a `set(time)` method recording a newer one. Both may return
+ * promises. Stores keep the largest time they were given.
+ *
+ * @module txnTime
+ */
+
+/**
+ * Keeps the last seen transaction time in memory, to share it between the
+ * clients of a process.
+ *
+ * @constructor
+ */
+function MemoryStore() {
+  this._time = null
+}
+
+MemoryStore.prototype.get = function() {
+  return this._time
+}
+
+MemoryStore.prototype.set = function(time) {
+  if (this._time === null || this._time < time) {
+    this._time = time
+  }
+}
+
+/**
+ * Keeps the last seen transaction time in a server side session object, such
+ * as the `req.session` of express-session, so the requests of a user session
+ * see their own writes.
+ *
+ * @param {Object} session The session object.
+ * @param {?string} key
+ *   The session property holding the time. Defaults to `faunaLastTxnTime`.
+ * @constructor
+ */
+function SessionStore(session, key) {
+  this._session = session
+  this._key = key || 'faunaLastTxnTime'
+}
+
+SessionStore.prototype.get = function() {
+  var time = this._session[this._key]
+  return typeof time === 'number' ? time : null
+}
+
+SessionStore.prototype.set = function(time) {
+  var current = this.get()
+
+  if (current === null || current < time) {
+    this._session[this._key] = time
+  }
+}
+
+/**
+ * Keeps the last seen transaction time in a browser cookie, shared by the
+ * pages of a site.
+ *
+ * @param {?Object} options
+ * @param {?string} options.name
+ *   The name of the cookie. Defaults to `faunaLastTxnTime`.
+ * @param {?string} options.attributes
+ *   Attributes of the cookie. Defaults to `path=/; SameSite=Lax`.
+ * @param {?Document} options.document
+ *   The document holding the cookie. Defaults to the global `document`.
+ * @constructor
+ */
+function CookieStore(options) {
+  var opts = options || {}
+
+  this._name = opts.name || 'faunaLastTxnTime'
+  this._attributes = opts.attributes || 'path=/; SameSite=Lax'
+  this._document = opts.document || document
+}
+
+CookieStore.prototype.get = function() {
+  var prefix = this._name + '='
+  var cookies = this._document.cookie ? this._document.cookie.split('; ') : []
+
+  for (var i = 0; i < cookies.length; i++) {
+    if (cookies[i].indexOf(prefix) === 0) {
+      var time = parseInt(cookies[i].slice(prefix.length), 10)
+      return isNaN(time) ? null : time
+    }
+  }
+
+  return null
+}
+
+CookieStore.prototype.set = function(time) {
+  var current = this.get()
+
+  if (current === null || current < time) {
+    this._document.cookie = this._name + '=' + time + '; ' + this._attributes
+  }
+}
+
+module.exports = {
+  MemoryStore: MemoryStore,
+  SessionStore: SessionStore,
+  CookieStore: CookieStore,
+}
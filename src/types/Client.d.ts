@@ -1,9 +1,79 @@
+import { cache, CacheOptions } from './cache'
 import Expr from './Expr'
 import PageHelper from './PageHelper'
-import RequestResult from './RequestResult'
+import Session from './Session'
+import RequestResult, { CircuitTransition, QueryMetrics } from './RequestResult'
+import { stream } from './stream'
+import { Transport } from './transport'
+import { TxnTimeStore } from './txnTime'
+import { values } from './values'
+
+export interface RetryOptions {
+  maxAttempts?: number
+  initialDelay?: number
+  maxDelay?: number
+  jitter?: boolean
+  statusCodes?: number[]
+  errors?: Function[]
+  networkErrors?: boolean
+  writes?: boolean
+}
+
+export interface BatchOptions {
+  maxSize?: number
+  windowMs?: number
+}
+
+export interface RateLimitOptions {
+  requestsPerSecond: number
+  burst?: number
+}
+
+export interface CircuitBreakerOptions {
+  failureRatio?: number
+  minimumRequests?: number
+  windowSize?: number
+  resetTimeout?: number
+}
+
+export type CompressionEncoding = 'gzip' | 'deflate'
+
+export interface CompressionOptions {
+  encoding?: CompressionEncoding
+  threshold?: number
+}
+
+export interface TraceSpan {
+  setAttribute(key: string, value: string | number | boolean): any
+  setStatus(status: { code: number; message?: string }): any
+  end(): void
+  recordException?(error: Error): void
+  spanContext?(): {
+    traceId: string
+    spanId: string
+    traceFlags?: number
+    traceState?: string | { serialize(): string }
+  }
+}
+
+export interface Tracer {
+  startSpan(
+    name: string,
+    options?: {
+      kind?: number
+      attributes?: { [key: string]: string | number | boolean }
+    }
+  ): TraceSpan
+}
+
+export interface Endpoint {
+  domain: string
+  scheme?: 'http' | 'https'
+  port?: number
+}
 
 export interface ClientConfig {
-  secret: string
+  secret?: string
   domain?: string
   scheme?: 'http' | 'https'
   port?: number
@@ -12,15 +82,118 @@ export interface ClientConfig {
   keepAlive?: boolean
   headers?: { [key: string]: string | number }
   fetch?: typeof fetch
+  retry?: RetryOptions | boolean
+  batch?: BatchOptions | boolean
+  endpoints?: Endpoint[]
+  healthCheckInterval?: number
+  maxSockets?: number
+  maxFreeSockets?: number
+  socketTimeout?: number
+  cache?: CacheOptions | boolean
+  dedupe?: boolean
+  maxConcurrentQueries?: number
+  rateLimit?: RateLimitOptions
+  queueTimeout?: number
+  circuitBreaker?: CircuitBreakerOptions | boolean
+  tracer?: Tracer
+  txnTimeStore?: TxnTimeStore
+  compression?: CompressionOptions | CompressionEncoding | boolean
+  transport?: Transport
+  secretProvider?: () => string | Promise<string>
+  validate?: boolean
 }
 
-export interface QueryOptions {
+export interface LoginOptions {
+  ttl?: number
+  data?: object
+}
+
+export interface ScopeOptions {
+  role?: string
+  ref?: values.Ref
+}
+
+export interface SecretScope extends ScopeOptions {
   secret?: string
+  database?: string
+}
+
+export interface CloseOptions {
+  drain?: boolean
+}
+
+export interface ClientStats {
+  inFlight: number
+  completed: number
+  queued: number
+  averageQueueWait: number
+}
+
+export interface QueryOptions {
+  secret?: string | SecretScope
+  retry?: RetryOptions | boolean
+  signal?: AbortSignal
+  timeout?: number
+  priority?: number
+  queueTimeout?: number
+  withMetrics?: boolean
+}
+
+export interface MetricsResponse<T> {
+  value: T
+  metrics: QueryMetrics
+  txnTime: number | null
+}
+
+export interface MiddlewareContext {
+  client: Client
+  method: string
+  path: string
+  query: object | null
+  expression: any
+  options: QueryOptions
+  headers: { [key: string]: string | number }
+  attempt: number
+  endpoint: string
+  dedupeKey: string | null
+  queueWait: number
+  queueDepth: number
+  circuitTransition: CircuitTransition | null
+  requestResult: RequestResult | null
+}
+
+export type Middleware = (
+  ctx: MiddlewareContext,
+  next: () => Promise<any>
+) => Promise<any>
+
+export interface StreamOptions {
+  secret?: string | SecretScope
+  fields?: string[]
 }
 
 export default class Client {
+  static fromURL(url: string, opts?: Partial<ClientConfig>): Client
+  static fromEnv(opts?: Partial<ClientConfig>): Client
+
   constructor(opts?: ClientConfig)
+  cache: cache.Cache | null
+  query<T = object>(
+    expr: Expr,
+    options: QueryOptions & { withMetrics: true }
+  ): Promise<MetricsResponse<T>>
   query<T = object>(expr: Expr, options?: QueryOptions): Promise<T>
   paginate(expr: Expr, params?: object, options?: QueryOptions): PageHelper
   ping(scope?: string, timeout?: number): Promise<string>
+  stream(expr: Expr, options?: StreamOptions): stream.Subscription
+  use(middleware: Middleware): Client
+  scoped(database: string, options?: ScopeOptions): Client
+  login(
+    identity: Expr,
+    password: string,
+    options?: LoginOptions
+  ): Promise<Session>
+  close(options?: CloseOptions): Promise<void>
+  stats(): ClientStats
+  toURL(): string
 }
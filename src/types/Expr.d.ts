@@ -1,5 +1,39 @@
+import { values } from './values'
+
+export interface ToStringOptions {
+  pretty?: boolean
+  indent?: number
+  maxWidth?: number
+}
+
+export type ExprPath = Array<string | number>
+
+export type ExprNode =
+  | { type: 'call'; expr: any; name: string; args: { [key: string]: any } }
+  | { type: 'object'; expr: any; fields: { [key: string]: any } }
+  | { type: 'array'; expr: any; items: any[] }
+  | {
+      type: 'let'
+      expr: any
+      bindings: Array<{
+        name: string
+        value: any
+        path: Array<string | number>
+      }>
+      body: any
+    }
+  | { type: 'lambda'; expr: any; params: string | string[]; body: any }
+  | { type: 'value'; expr: any; value: values.Value }
+  | { type: 'literal'; expr: any; value: string | number | boolean | null }
+
 export default class Expr {
   constructor(obj: object)
 
-  static toString(expr: Expr): string
+  static toString(expr: Expr, options?: ToStringOptions): string
+  static parse(fql: string): any
+  static walk(
+    expr: any,
+    visitor: (node: ExprNode, path: ExprPath) => boolean | void
+  ): void
+  static transform(expr: any, fn: (node: ExprNode, path: ExprPath) => any): Expr
 }
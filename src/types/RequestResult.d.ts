@@ -1,5 +1,26 @@
 import Client from './Client'
 
+export interface QueryMetrics {
+  computeOps?: number
+  byteReadOps?: number
+  byteWriteOps?: number
+  readOps?: number
+  writeOps?: number
+  queryTime?: number
+  queryBytesIn?: number
+  queryBytesOut?: number
+  storageBytesRead?: number
+  storageBytesWrite?: number
+  txnRetries?: number
+}
+
+export type CircuitState = 'closed' | 'open' | 'half-open'
+
+export interface CircuitTransition {
+  from: CircuitState
+  to: CircuitState
+}
+
 export default class RequestResult {
   constructor(
     method: string,
@@ -16,4 +37,15 @@ export default class RequestResult {
   )
 
   timeTaken: number
+  metrics: QueryMetrics
+  attempt: number
+  endpoint: string
+  dedupeKey: string | null
+  queueWait: number
+  queueDepth: number
+  circuitTransition: CircuitTransition | null
+  requestBytes: number
+  compressedRequestBytes: number | null
+  responseBytes: number
+  compressedResponseBytes: number | null
 }
@@ -0,0 +1,19 @@
+import Client, { LoginOptions } from './Client'
+import { values } from './values'
+
+export interface LogoutOptions {
+  allTokens?: boolean
+}
+
+export default class Session {
+  constructor(parent: Client, token: object, options?: LoginOptions)
+
+  readonly client: Client
+  readonly token: values.Ref
+  readonly identity: values.Ref
+  readonly expiresAt: Date | null
+
+  isExpired(): boolean
+  refresh(): Promise<Session>
+  logout(options?: LogoutOptions): Promise<boolean>
+}
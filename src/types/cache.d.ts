@@ -0,0 +1,37 @@
+import { values } from './values'
+
+export interface CacheEntry {
+  value: any
+  expiresAt: number
+}
+
+export interface CacheStore {
+  get(key: string): CacheEntry | undefined | Promise<CacheEntry | undefined>
+  set(key: string, entry: CacheEntry): void | Promise<void>
+  delete(key: string): void | Promise<void>
+  clear(): void | Promise<void>
+}
+
+export interface CacheOptions {
+  ttl?: number
+  maxEntries?: number
+  store?: CacheStore
+}
+
+export module cache {
+  export class MemoryStore implements CacheStore {
+    constructor(options?: { maxEntries?: number })
+
+    get(key: string): CacheEntry | undefined
+    set(key: string, entry: CacheEntry): void
+    delete(key: string): void
+    clear(): void
+  }
+
+  export class Cache {
+    constructor(options?: CacheOptions | boolean)
+
+    invalidate(ref: values.Ref): Promise<void>
+    clear(): Promise<void>
+  }
+}
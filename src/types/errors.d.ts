@@ -1,4 +1,5 @@
 import RequestResult from './RequestResult'
+import { Problem } from './query'
 
 export module errors {
   export class FaunaError extends Error {
@@ -10,6 +11,43 @@ export module errors {
 
   export class InvalidValue extends FaunaError {}
 
+  export class ParseError extends FaunaError {
+    constructor(message: string, line: number, column: number)
+
+    line: number
+    column: number
+  }
+
+  export class InvalidQuery extends FaunaError {
+    constructor(problems: Problem[])
+
+    problems: Problem[]
+  }
+
+  export class RequestAborted extends FaunaError {
+    constructor(message: string, timedOut?: boolean)
+
+    timedOut: boolean
+  }
+
+  export class ClientClosed extends RequestAborted {
+    constructor()
+  }
+
+  export class QueueTimeout extends RequestAborted {
+    constructor(timeout: number)
+  }
+
+  export class CircuitOpenError extends FaunaError {
+    constructor()
+  }
+
+  export class StreamError extends FaunaError {
+    constructor(code: string, description: string)
+
+    code: string
+  }
+
   export class FaunaHTTPError extends FaunaError {
     static raiseForStatusCode(requestResult: RequestResult): void
 
@@ -21,6 +59,7 @@ export module errors {
 
   export class BadRequest extends FaunaHTTPError {}
   export class Unauthorized extends FaunaHTTPError {}
+  export class TokenExpired extends Unauthorized {}
   export class PermissionDenied extends FaunaHTTPError {}
   export class NotFound extends FaunaHTTPError {}
   export class MethodNotAllowed extends FaunaHTTPError {}
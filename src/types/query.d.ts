@@ -4,6 +4,12 @@ type ExprVal = Expr | string | number | boolean | { [key: string]: any }
 type ExprArg = ExprVal | Array<ExprVal>
 export type Lambda = (...vars: any[]) => Expr
 
+export interface Problem {
+  severity: 'error' | 'warning'
+  path: Array<string | number>
+  message: string
+}
+
 export module query {
   export function Ref(ref: ExprArg, id?: ExprArg): Expr
   export function Bytes(bytes: ExprArg | ArrayBuffer | Uint8Array): Expr
@@ -255,4 +261,6 @@ export module query {
 
   export function MoveDatabase(from: ExprArg, to: ExprArg): Expr
   export function Documents(collection: ExprArg): Expr
+
+  export function validate(expr: ExprArg): Problem[]
 }
@@ -0,0 +1,25 @@
+import RequestResult from './RequestResult'
+import { Transport, TransportRequest, TransportResponse } from './transport'
+
+export interface RecordedRequest {
+  method: string
+  path: string
+  query: object | null
+  requestRaw: string | null
+  status: number
+  responseHeaders: { [key: string]: string }
+  responseRaw: string
+}
+
+export module recording {
+  export function observer(
+    target: string | ((line: string) => void)
+  ): (res: RequestResult) => void
+  export function parse(text: string): RecordedRequest[]
+
+  export class ReplayTransport implements Transport {
+    constructor(recording: string | RecordedRequest[])
+
+    request(request: TransportRequest): Promise<TransportResponse>
+  }
+}
@@ -0,0 +1,24 @@
+import Client from './Client'
+import Expr from './Expr'
+
+export interface StreamEvent {
+  type: 'start' | 'version' | 'history_rewrite' | 'error'
+  txn: number
+  event: any
+}
+
+export type StreamEventHandler = (data: any, event: StreamEvent | null) => void
+
+export module stream {
+  export class Subscription {
+    constructor(client: Client, expression: Expr, options?: object)
+
+    on(
+      type: 'start' | 'version' | 'history_rewrite' | 'error',
+      callback: StreamEventHandler
+    ): Subscription
+    start(): Subscription
+    close(): void
+    [Symbol.asyncIterator](): AsyncIterator<StreamEvent>
+  }
+}
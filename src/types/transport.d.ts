@@ -0,0 +1,73 @@
+import Expr from './Expr'
+
+export interface TransportRequest {
+  method: string
+  url: string
+  path: string
+  query: object | null
+  body: string | Uint8Array | undefined
+  headers: { [key: string]: string }
+  signal?: AbortSignal
+  timeout?: number
+  agent?: object
+}
+
+export interface TransportResponse {
+  status: number
+  headers: {
+    get(name: string): string | null | undefined
+    has(name: string): boolean
+    entries(): IterableIterator<[string, string]>
+  }
+  text(): Promise<string>
+  arrayBuffer?(): Promise<ArrayBuffer>
+  body?: any
+}
+
+export interface Transport {
+  request(request: TransportRequest): Promise<TransportResponse>
+}
+
+export interface MockResponse {
+  resource?: any
+  errors?: object[]
+  status?: number
+  headers?: { [key: string]: string | number }
+}
+
+export interface MockCall {
+  method: string
+  path: string
+  query: object | null
+  headers: { [key: string]: string }
+  body: string | Uint8Array | undefined
+  data: any
+}
+
+export type MockMatcher =
+  | Expr
+  | string
+  | number
+  | boolean
+  | object
+  | ((data: any, request: TransportRequest) => boolean)
+
+export module transport {
+  export class FetchTransport implements Transport {
+    constructor(fetch: Function)
+
+    request(request: TransportRequest): Promise<TransportResponse>
+  }
+
+  export class MockTransport implements Transport {
+    constructor()
+
+    calls: MockCall[]
+
+    respond(
+      matcher: MockMatcher,
+      response: MockResponse | ((request: TransportRequest) => MockResponse)
+    ): this
+    request(request: TransportRequest): Promise<TransportResponse>
+  }
+}
@@ -0,0 +1,31 @@
+export interface TxnTimeStore {
+  get(): number | null | Promise<number | null>
+  set(time: number): void | Promise<void>
+}
+
+export module txnTime {
+  export class MemoryStore implements TxnTimeStore {
+    constructor()
+
+    get(): number | null
+    set(time: number): void
+  }
+
+  export class SessionStore implements TxnTimeStore {
+    constructor(session: object, key?: string)
+
+    get(): number | null
+    set(time: number): void
+  }
+
+  export class CookieStore implements TxnTimeStore {
+    constructor(options?: {
+      name?: string
+      attributes?: string
+      document?: { cookie: string }
+    })
+
+    get(): number | null
+    set(time: number): void
+  }
+}
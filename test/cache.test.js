@@ -0,0 +1,151 @@
+'use strict'
+
+var cache = require('../src/cache')
+var errors = require('../src/errors')
+var mock = require('./mock')
+var query = require('../src/query')
+var values = require('../src/values')
+
+var users = new values.Ref('users', values.Native.COLLECTIONS)
+var alice = new values.Ref('1', users)
+var bob = new values.Ref('2', users)
+
+describe('cache', () => {
+  test('reuses the results of read queries', async () => {
+    var fetch = mock.mockFetch({ ref: alice, data: { name: 'Alice' } })
+    var client = createClient(fetch)
+
+    var first = await client.query(query.Get(alice))
+    first.data.name = 'Eve'
+    var second = await client.query(query.Get(alice))
+    second.data.name = 'Mallory'
+    var third = await client.query(query.Get(alice))
+
+    expect(second).not.toBe(first)
+    expect(third).toEqual({ ref: alice, data: { name: 'Alice' } })
+    expect(fetch).toHaveBeenCalledTimes(1)
+
+    await client.query(query.Get(alice), { secret: 'other' })
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  test('skips writes and non-deterministic queries', async () => {
+    var fetch = mock.mockFetch(1)
+    var client = createClient(fetch)
+
+    await client.query(query.Update(alice, { data: {} }))
+    await client.query(query.Update(alice, { data: {} }))
+    await client.query(query.Now())
+    await client.query(query.Now())
+    await client.query(query.NewId())
+    await client.query(query.Get(alice), { withMetrics: true })
+    await client.query(query.Get(alice), { withMetrics: true })
+
+    expect(fetch).toHaveBeenCalledTimes(7)
+  })
+
+  test('expires results after their ttl', async () => {
+    var fetch = mock.mockFetch(1)
+    var client = createClient(fetch, { ttl: 10 })
+
+    await client.query(query.Get(alice))
+    await new Promise(resolve => setTimeout(resolve, 20))
+    await client.query(query.Get(alice))
+
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  test('invalidates the results mentioning a ref', async () => {
+    var fetch = mock.mockFetch(body =>
+      'paginate' in body ? { data: [alice] } : { ref: body.get }
+    )
+    var client = createClient(fetch)
+    var queries = [
+      query.Paginate(query.Documents(users)),
+      query.Get(alice),
+      query.Get(bob),
+    ]
+
+    await Promise.all(queries.map(q => client.query(q)))
+    await client.cache.invalidate(alice)
+    await Promise.all(queries.map(q => client.query(q)))
+
+    expect(fetch).toHaveBeenCalledTimes(5)
+    expect(() => client.cache.invalidate('users/1')).toThrow(
+      errors.InvalidValue
+    )
+
+    await client.cache.clear()
+    await client.query(query.Get(bob))
+    expect(fetch).toHaveBeenCalledTimes(6)
+  })
+
+  test('invalidates the results of queries building a ref', async () => {
+    var fetch = mock.mockFetch(true)
+    var client = createClient(fetch)
+    var exists = query.Exists(query.Ref(query.Collection('users'), '1'))
+
+    await client.query(exists)
+    await client.query(query.Exists(query.Index('by_name')))
+    await client.cache.invalidate(new values.Ref('1', users))
+    await client.query(exists)
+    await client.query(query.Exists(query.Index('by_name')))
+
+    expect(fetch).toHaveBeenCalledTimes(3)
+
+    await client.cache.invalidate(
+      new values.Ref('by_name', values.Native.INDEXES)
+    )
+    await client.query(query.Exists(query.Index('by_name')))
+    expect(fetch).toHaveBeenCalledTimes(4)
+  })
+
+  test('uses a custom store', async () => {
+    var entries = {}
+    var store = {
+      get: key => Promise.resolve(entries[key]),
+      set: (key, entry) => {
+        entries[key] = entry
+      },
+      delete: key => {
+        delete entries[key]
+      },
+      clear: () => {
+        entries = {}
+      },
+    }
+    var fetch = mock.mockFetch(1)
+    var client = createClient(fetch, { store: store })
+
+    await client.query(query.Get(alice))
+    await client.query(query.Get(alice))
+
+    expect(fetch).toHaveBeenCalledTimes(1)
+    expect(Object.keys(entries).length).toEqual(1)
+    expect(Object.keys(entries)[0]).not.toContain('secret')
+
+    // Another client, say in another process, shares the entries of a secret.
+    var other = createClient(fetch, { store: store })
+
+    await other.query(query.Get(alice))
+    await other.query(query.Get(alice), { secret: 'other' })
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  test('evicts the least recently used entries', () => {
+    var store = new cache.MemoryStore({ maxEntries: 2 })
+
+    store.set('a', 1)
+    store.set('b', 2)
+    store.get('a')
+    store.set('c', 3)
+
+    expect(store.get('a')).toEqual(1)
+    expect(store.get('b')).toBeUndefined()
+    expect(store.get('c')).toEqual(3)
+  })
+})
+
+function createClient(fetch, options) {
+  return mock.getClient({ fetch: fetch, cache: options || true })
+}
@@ -79,9 +79,28 @@ describe('clientLogger', () => {
       // Ignore the rest
     })
   })
+
+  test('request FQL', () => {
+    return captureLogged(
+      function(client) {
+        return client.query(
+          query.Create(collectionRef, { data: { name: 'frog' } })
+        )
+      },
+      {},
+      { fql: true }
+    ).then(function(res) {
+      var readLine = lineReader(res)
+      expect(readLine()).toEqual('Fauna POST /')
+      expect(readLine()).toEqual(
+        '  Request FQL: Create(Collection("logging_tests"), {data: {name: "frog"}})'
+      )
+      expect(readLine()).toEqual('  Response headers: {')
+    })
+  })
 })
 
-function captureLogged(clientAction, clientParams) {
+function captureLogged(clientAction, clientParams, loggerOptions) {
   if (typeof clientParams === 'undefined') {
     clientParams = {}
   }
@@ -92,7 +111,7 @@ function captureLogged(clientAction, clientParams) {
       {
         observer: logger(function(str, client) {
           logged = str
-        }),
+        }, loggerOptions),
       },
       clientParams
     )
@@ -0,0 +1,84 @@
+'use strict'
+
+var Client = require('../src/Client')
+var objectAssign = require('object-assign')
+
+// Helpers for the tests running against a mocked fetch instead of FaunaDB.
+
+function getClient(opts) {
+  return new Client(objectAssign({ secret: 'secret', keepAlive: false }, opts))
+}
+
+function mockResponse(status, text, headers) {
+  return Promise.resolve({
+    status: status,
+    headers: new Map(headers || []),
+    text: () => Promise.resolve(text),
+  })
+}
+
+// Answers every request with `resource`, or with the result of calling it
+// with the parsed request body.
+function mockFetch(resource) {
+  return jest.fn((url, request) =>
+    mockResponse(
+      200,
+      JSON.stringify({
+        resource:
+          typeof resource === 'function'
+            ? resource(JSON.parse(request.body))
+            : resource,
+      })
+    )
+  )
+}
+
+function assertRejected(promise, errorType) {
+  var succeeded = false
+
+  return promise.then(
+    function() {
+      succeeded = true
+      expect(!succeeded).toBeTruthy()
+    },
+    function(error) {
+      if (!(error instanceof errorType)) {
+        throw error
+      }
+    }
+  )
+}
+
+// Minimal AbortController stand-in, as the test environment may not provide one
+function abortController() {
+  var listeners = []
+  var signal = {
+    aborted: false,
+    addEventListener: function(type, listener) {
+      listeners.push(listener)
+    },
+    removeEventListener: function(type, listener) {
+      listeners = listeners.filter(function(l) {
+        return l !== listener
+      })
+    },
+  }
+
+  return {
+    signal: signal,
+    abort: function() {
+      signal.aborted = true
+      listeners.slice().forEach(function(listener) {
+        listener()
+      })
+    },
+  }
+}
+
+module.exports = {
+  getClient: getClient,
+  mockResponse: mockResponse,
+  mockFetch: mockFetch,
+  assertRejected: assertRejected,
+  abortController: abortController,
+}
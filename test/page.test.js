@@ -1,5 +1,6 @@
 'use strict'
 
+var errors = require('../src/errors')
 var query = require('../src/query')
 var PageHelper = require('../src/PageHelper')
 var util = require('./util')
@@ -318,4 +319,39 @@ describe('page', () => {
         expect(97).toEqual(refsToIndex[p[1][1]])
       })
   })
+
+  test('stops paginating when the signal fires', async function() {
+    var fetch = jest.fn(() =>
+      Promise.resolve({
+        status: 200,
+        headers: new Map(),
+        text: () =>
+          Promise.resolve('{ "resource": { "data": [1], "after": [2] } }'),
+      })
+    )
+    var controller = util.abortController()
+    var pages = 0
+    var page = util
+      .getClient({ fetch })
+      .paginate(
+        query.Match(query.Index('things')),
+        {},
+        {
+          signal: controller.signal,
+        }
+      )
+      .map(function(ref) {
+        return query.Get(ref)
+      })
+
+    await util.assertRejected(
+      page.each(function() {
+        pages++
+        controller.abort()
+      }),
+      errors.RequestAborted
+    )
+    expect(pages).toEqual(1)
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
 }, 10000)
@@ -1,6 +1,7 @@
 'use strict'
 
 var errors = require('../src/errors')
+var Expr = require('../src/Expr')
 var values = require('../src/values')
 var query = require('../src/query')
 var util = require('./util')
@@ -2499,8 +2500,11 @@ function mSet(m) {
   return query.Match(mIndexRef, m)
 }
 
-function assertQueryWithClient(client, query, expected) {
-  return client.query(query).then(function(result) {
+function assertQueryWithClient(client, expr, expected) {
+  assertRoundTrip(expr)
+  assertValid(expr)
+
+  return client.query(expr).then(function(result) {
     expect(result).toEqual(expected)
   })
 }
@@ -2514,9 +2518,33 @@ function assertBadQuery(query, errorType) {
     errorType = errors.BadRequest
   }
 
+  assertRoundTrip(query)
+
   return util.assertRejected(client.query(query), errorType)
 }
 
+// Queries print as FQL which parses back to the same query. Values, such as
+// refs, print as the functions building them and parse back as those.
+function assertRoundTrip(expr) {
+  expr = query.wrap(expr)
+
+  var expected = Expr.transform(expr, function(node) {
+    if (node.type === 'value') {
+      return Expr.parse(Expr.toString(node.value))
+    }
+  })
+
+  expect(Expr.parse(Expr.toString(expr))).toEqual(expected)
+}
+
+function assertValid(expr) {
+  var problems = query.validate(expr).filter(function(problem) {
+    return problem.severity === 'error'
+  })
+
+  expect(problems).toEqual([])
+}
+
 function assertSet(set, expected) {
   return getSetContents(set).then(function(result) {
     expect(result).toEqual(expected)
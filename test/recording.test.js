@@ -0,0 +1,99 @@
+'use strict'
+
+var Client = require('../src/Client')
+var errors = require('../src/errors')
+var query = require('../src/query')
+var recording = require('../src/recording')
+var transport = require('../src/transport')
+var values = require('../src/values')
+
+describe('recording', () => {
+  var ref = new values.Ref('1', new values.Ref('c', values.Native.COLLECTIONS))
+  var lines
+
+  beforeEach(async () => {
+    var mock = new transport.MockTransport()
+      .respond(query.Get(ref), {
+        resource: { ref: ref, data: { name: 'one' } },
+        headers: { 'x-txn-time': 42, 'content-length': 120 },
+      })
+      .respond(data => 'login' in data, {
+        resource: { secret: 'fnAAAA', instance: ref },
+      })
+      .respond(query.Delete(ref), {
+        status: 404,
+        errors: [{ code: 'instance not found', description: 'Missing' }],
+      })
+    var client = new Client({
+      secret: 'secret',
+      transport: mock,
+      observer: recording.observer(line => lines.push(line)),
+    })
+
+    lines = []
+    await client.query(query.Get(ref))
+    await client.query(query.Login(ref, { password: 'hunter2' }))
+    await expect(client.query(query.Delete(ref))).rejects.toBeInstanceOf(
+      errors.NotFound
+    )
+  })
+
+  test('records requests as NDJSON without secrets', () => {
+    var recorded = recording.parse(lines.join(''))
+
+    expect(lines.every(line => line.endsWith('\n'))).toBe(true)
+    expect(recorded[0]).toEqual({
+      method: 'POST',
+      path: '',
+      query: null,
+      requestRaw: JSON.stringify(query.Get(ref)),
+      status: 200,
+      responseHeaders: { 'x-txn-time': '42' },
+      responseRaw: JSON.stringify({
+        resource: { ref: ref, data: { name: 'one' } },
+      }),
+    })
+    expect(recorded[1].requestRaw).not.toContain('hunter2')
+    expect(recorded[1].responseRaw).not.toContain('fnAAAA')
+    expect(recorded[2].status).toEqual(404)
+  })
+
+  test('replays recorded requests', async () => {
+    var client = new Client({
+      secret: 'other',
+      transport: new recording.ReplayTransport(recording.parse(lines.join(''))),
+    })
+
+    expect(await client.query(query.Get(ref))).toEqual({
+      ref: ref,
+      data: { name: 'one' },
+    })
+    expect(await client.query(query.Get(ref))).toEqual({
+      ref: ref,
+      data: { name: 'one' },
+    })
+    expect(await client.query(query.Login(ref, { password: 'other' }))).toEqual(
+      { secret: '<redacted>', instance: ref }
+    )
+    await expect(client.query(query.Delete(ref))).rejects.toBeInstanceOf(
+      errors.NotFound
+    )
+    expect(client.getLastTxnTime()).toEqual(42)
+  })
+
+  test('fails unmatched requests with a diff', async () => {
+    var client = new Client({
+      secret: 'secret',
+      transport: new recording.ReplayTransport(recording.parse(lines.join(''))),
+    })
+    var other = new values.Ref('2', ref.collection)
+
+    await expect(client.query(query.Get(other))).rejects.toThrow(
+      'No recorded request for POST /. ' +
+        'Differences with the closest recorded request:\n' +
+        '  at .body.get.@ref.id\n' +
+        '  - "1"\n' +
+        '  + "2"'
+    )
+  })
+})
@@ -0,0 +1,144 @@
+'use strict'
+
+var Client = require('../src/Client')
+var errors = require('../src/errors')
+var query = require('../src/query')
+var transport = require('../src/transport')
+var values = require('../src/values')
+
+describe('Session', () => {
+  var users = new values.Ref('users', values.Native.COLLECTIONS)
+  var user = new values.Ref('1', users)
+  var tokenRef = new values.Ref('10', values.Native.TOKENS)
+  var mock
+  var client
+
+  beforeEach(() => {
+    mock = new transport.MockTransport()
+    client = new Client({ secret: 'server', transport: mock })
+  })
+
+  function token(secret, ttl) {
+    return {
+      ref: tokenRef,
+      instance: user,
+      secret: secret,
+      ttl: ttl === undefined ? undefined : new values.FaunaTime(ttl),
+    }
+  }
+
+  function authorization(call) {
+    return Buffer.from(call.headers.Authorization.slice(6), 'base64')
+      .toString()
+      .slice(0, -1)
+  }
+
+  test('logs in and queries with the token', async () => {
+    var expiresAt = new Date(Date.now() + 3600000)
+
+    mock
+      .respond(data => 'login' in data, {
+        resource: token('token-1', expiresAt.toISOString()),
+      })
+      .respond(query.Get(query.Identity()), { resource: { ref: user } })
+    var identity = query.Match(query.Index('users_by_email'), 'a@b.c')
+
+    var session = await client.login(identity, 'secret', {
+      ttl: 3600,
+      data: { device: 'phone' },
+    })
+    await session.client.query(query.Get(query.Identity()))
+
+    expect(session.token).toEqual(tokenRef)
+    expect(session.identity).toEqual(user)
+    expect(session.expiresAt).toEqual(expiresAt)
+    expect(session.isExpired()).toBe(false)
+    expect(mock.calls[0].data).toEqual(
+      JSON.parse(
+        JSON.stringify(
+          query.Login(identity, {
+            password: 'secret',
+            ttl: query.TimeAdd(query.Now(), 3600, 'seconds'),
+            data: { device: 'phone' },
+          })
+        )
+      )
+    )
+    expect(mock.calls.map(authorization)).toEqual(['server', 'token-1'])
+  })
+
+  test('raises TokenExpired and refreshes expired tokens', async () => {
+    var expired = new Date(Date.now() - 1000).toISOString()
+
+    mock
+      .respond(data => 'login' in data, { resource: token('token-1', expired) })
+      .respond(data => 'do' in data, { resource: token('token-2') })
+      .respond((data, request) => authorization(request) === 'token-1', {
+        status: 401,
+        errors: [{ code: 'unauthorized' }],
+      })
+      .respond(query.Add(1, 1), { resource: 2 })
+
+    var session = await client.login(user, 'secret', { ttl: 60 })
+
+    await expect(session.client.query(query.Add(1, 1))).rejects.toBeInstanceOf(
+      errors.TokenExpired
+    )
+    expect(await session.refresh()).toBe(session)
+    expect(await session.client.query(query.Add(1, 1))).toEqual(2)
+    expect(session.expiresAt).toBeNull()
+    expect(JSON.parse(mock.calls[2].body).do[1]).toEqual(
+      JSON.parse(
+        JSON.stringify(
+          query.Create(query.Tokens(), {
+            instance: user,
+            ttl: query.TimeAdd(query.Now(), 60, 'seconds'),
+          })
+        )
+      )
+    )
+  })
+
+  test('raises TokenExpired when FaunaDB says it expired', async () => {
+    var expiresAt = new Date(Date.now() + 60000)
+
+    mock
+      .respond(data => 'login' in data, {
+        resource: token('token-1', expiresAt.toISOString()),
+      })
+      .respond(query.Add(1, 1), {
+        status: 401,
+        errors: [{ code: 'unauthorized' }],
+        headers: { 'X-Txn-Time': (expiresAt.getTime() + 1) * 1000 },
+      })
+      .respond(query.Add(2, 2), {
+        status: 401,
+        errors: [{ code: 'unauthorized' }],
+        headers: { Date: new Date(Date.now() - 1000).toUTCString() },
+      })
+
+    var session = await client.login(user, 'secret', { ttl: 60 })
+
+    expect(session.isExpired()).toBe(false)
+    await expect(session.client.query(query.Add(1, 1))).rejects.toBeInstanceOf(
+      errors.TokenExpired
+    )
+    var error = await session.client.query(query.Add(2, 2)).catch(e => e)
+    expect(error).toBeInstanceOf(errors.Unauthorized)
+    expect(error).not.toBeInstanceOf(errors.TokenExpired)
+  })
+
+  test('logs out and closes the session client', async () => {
+    mock
+      .respond(data => 'login' in data, { resource: token('token-1') })
+      .respond(query.Logout(true), { resource: true })
+
+    var session = await client.login(user, 'secret')
+
+    expect(await session.logout({ allTokens: true })).toBe(true)
+    await expect(session.client.query(query.Add(1, 1))).rejects.toBeInstanceOf(
+      errors.ClientClosed
+    )
+    expect(session.isExpired()).toBe(false)
+  })
+})
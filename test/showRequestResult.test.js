@@ -0,0 +1,70 @@
+'use strict'
+
+var RequestResult = require('../src/RequestResult')
+var query = require('../src/query')
+var showRequestResult = require('../src/clientLogger').showRequestResult
+
+describe('showRequestResult', () => {
+  test('shows queries as FQL', () => {
+    var expr = query.Create(query.Collection('frogs'), {
+      data: { name: 'Kermit' },
+    })
+    var requestResult = new RequestResult(
+      'POST',
+      '',
+      null,
+      JSON.stringify(expr),
+      expr,
+      '{"resource":1}',
+      { resource: 1 },
+      201,
+      {},
+      0,
+      13
+    )
+
+    expect(showRequestResult(requestResult, { fql: true })).toEqual(
+      [
+        'Fauna POST /',
+        '  Request FQL: Create(Collection("frogs"), {data: {name: "Kermit"}})',
+        '  Response headers: {}',
+        '  Response JSON: {',
+        '    "resource": 1',
+        '  }',
+        '  Response (201): Network latency 13ms',
+        '',
+      ].join('\n')
+    )
+    expect(
+      showRequestResult(requestResult, { fql: true, maxWidth: 40 })
+    ).toContain(
+      [
+        '  Request FQL: Create(',
+        '    Collection("frogs"),',
+        '    {data: {name: "Kermit"}}',
+        '  )',
+      ].join('\n')
+    )
+  })
+
+  test('shows queries as JSON by default', () => {
+    var expr = query.Add(1, 2)
+    var requestResult = new RequestResult(
+      'POST',
+      '',
+      null,
+      JSON.stringify(expr),
+      expr,
+      '{"resource":3}',
+      { resource: 3 },
+      200,
+      {},
+      0,
+      1
+    )
+
+    expect(showRequestResult(requestResult)).toContain(
+      '  Request JSON: {\n    "add": [\n      1,\n      2\n    ]\n  }\n'
+    )
+  })
+})
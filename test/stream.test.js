@@ -0,0 +1,288 @@
+'use strict'
+
+var http = require('http')
+var Client = require('../src/Client')
+var errors = require('../src/errors')
+var query = require('../src/query')
+var values = require('../src/values')
+
+var server
+var sockets = []
+var requests = []
+var respond
+
+describe('stream', () => {
+  beforeAll(done => {
+    // A chunked HTTP stand-in for the FaunaDB streaming endpoint.
+    server = http.createServer(function(req, res) {
+      var body = ''
+      req.on('data', function(chunk) {
+        body += chunk
+      })
+      req.on('end', function() {
+        requests.push({ url: req.url, headers: req.headers, body: body })
+        respond(req, res)
+      })
+    })
+    server.on('connection', function(socket) {
+      sockets.push(socket)
+    })
+    server.listen(0, done)
+  })
+
+  afterAll(done => {
+    sockets.forEach(function(socket) {
+      socket.destroy()
+    })
+    server.close(done)
+  })
+
+  beforeEach(() => {
+    requests = []
+  })
+
+  test('dispatches events to handlers', done => {
+    respond = function(req, res) {
+      res.writeHead(200, { 'content-type': 'application/x-ndjson' })
+      res.write('{"type":"start","txn":100,"event":100}\n')
+      res.write('{"type":"version","txn":120,')
+      setTimeout(function() {
+        res.write('"event":{"action":"update","document":{"ref":')
+        res.end(
+          '{"@ref":{"id":"1","collection":{"@ref":{"id":"spells","collection":{"@ref":{"id":"collections"}}}}}}}}}\n'
+        )
+      }, 10)
+    }
+
+    var client = getClient()
+    var events = []
+    var subscription = client
+      .stream(query.Ref(query.Collection('spells'), '1'), {
+        fields: ['action', 'document'],
+      })
+      .on('start', function(txn) {
+        events.push(['start', txn])
+      })
+      .on('version', function(event) {
+        events.push(['version', event])
+        subscription.close()
+
+        expect(events).toEqual([
+          ['start', 100],
+          [
+            'version',
+            {
+              action: 'update',
+              document: {
+                ref: new values.Ref(
+                  '1',
+                  new values.Ref('spells', values.Native.COLLECTIONS)
+                ),
+              },
+            },
+          ],
+        ])
+        expect(client.getLastTxnTime()).toEqual(120)
+        expect(decodeURIComponent(requests[0].url)).toEqual(
+          '/stream?fields=action,document'
+        )
+        expect(requests[0].headers.authorization).toEqual(
+          'Basic ' + Buffer.from('secret:').toString('base64')
+        )
+        expect(JSON.parse(requests[0].body)).toEqual({
+          ref: { collection: 'spells' },
+          id: '1',
+        })
+        done()
+      })
+      .start()
+  })
+
+  test('iterates over events until closed', async function() {
+    respond = function(req, res) {
+      res.writeHead(200)
+      res.write('{"type":"start","txn":1,"event":1}\n')
+      res.write('{"type":"version","txn":2,"event":{"action":"create"}}\n')
+    }
+
+    var subscription = getClient().stream(query.Ref(query.Collection('a'), '1'))
+    var types = []
+
+    for await (var event of subscription) {
+      types.push(event.type)
+      if (event.type === 'version') {
+        subscription.close()
+      }
+    }
+
+    expect(types).toEqual(['start', 'version'])
+  })
+
+  test('dispatches error events', done => {
+    respond = function(req, res) {
+      res.writeHead(200)
+      res.write('{"type":"start","txn":1,"event":1}\n')
+      res.write(
+        '{"type":"error","txn":2,"event":{"code":"permission denied","description":"Authorization lost."}}\n'
+      )
+    }
+
+    getClient()
+      .stream(query.Ref(query.Collection('a'), '1'))
+      .on('error', function(error) {
+        expect(error).toBeInstanceOf(errors.StreamError)
+        expect(error.code).toEqual('permission denied')
+        expect(error.message).toEqual('Authorization lost.')
+        done()
+      })
+      .start()
+  })
+
+  test('dispatches malformed events as errors', done => {
+    respond = function(req, res) {
+      res.writeHead(200)
+      res.write('{"type":"start","txn":1,"event":1}\n')
+      res.write('{"type":"version",\n')
+    }
+
+    getClient()
+      .stream(query.Ref(query.Collection('a'), '1'))
+      .on('error', function(error) {
+        expect(error).toBeInstanceOf(SyntaxError)
+        done()
+      })
+      .start()
+  })
+
+  test('reports errors without handlers as unhandled rejections', done => {
+    respond = function(req, res) {
+      res.writeHead(200)
+      res.write(
+        '{"type":"error","txn":1,"event":{"code":"permission denied","description":"Authorization lost."}}\n'
+      )
+    }
+
+    // Jest fails tests with unhandled rejections, so this one is caught.
+    var reject = Promise.reject
+    jest.spyOn(Promise, 'reject').mockImplementation(function(error) {
+      if (!(error instanceof errors.StreamError)) {
+        return reject.call(Promise, error)
+      }
+
+      Promise.reject.mockRestore()
+      done()
+      return Promise.resolve()
+    })
+
+    getClient()
+      .stream(query.Ref(query.Collection('a'), '1'))
+      .start()
+  })
+
+  test('only keeps events for iterators', done => {
+    respond = function(req, res) {
+      res.writeHead(200)
+      res.write('{"type":"start","txn":1,"event":1}\n')
+      res.write('{"type":"version","txn":2,"event":{"action":"create"}}\n')
+    }
+
+    var subscription = getClient()
+      .stream(query.Ref(query.Collection('a'), '1'))
+      .on('version', function() {
+        expect(subscription._events).toEqual([])
+        subscription.close()
+        done()
+      })
+      .start()
+  })
+
+  test('closes with the client', done => {
+    respond = function(req, res) {
+      res.writeHead(200)
+      res.write('{"type":"start","txn":1,"event":1}\n')
+    }
+
+    var client = getClient()
+    var subscription = client
+      .stream(query.Ref(query.Collection('a'), '1'))
+      .on('start', function() {
+        client.close().then(function() {
+          expect(subscription._state).toEqual('closed')
+          expect(client._subscriptions).toEqual([])
+          done()
+        })
+      })
+      .start()
+  })
+
+  test('rejects streams of closed clients', done => {
+    var client = getClient()
+
+    client.close().then(function() {
+      client
+        .stream(query.Ref(query.Collection('a'), '1'))
+        .on('error', function(error) {
+          expect(error).toBeInstanceOf(errors.ClientClosed)
+          expect(requests).toEqual([])
+          done()
+        })
+        .start()
+    })
+  })
+
+  test('dispatches HTTP errors', done => {
+    respond = function(req, res) {
+      res.writeHead(401)
+      res.end('{"errors":[{"code":"unauthorized"}]}')
+    }
+
+    getClient()
+      .stream(query.Ref(query.Collection('a'), '1'))
+      .on('error', function(error) {
+        expect(error).toBeInstanceOf(errors.Unauthorized)
+        done()
+      })
+      .start()
+  })
+
+  test('opens streams through middleware', done => {
+    respond = function(req, res) {
+      res.writeHead(401)
+      res.end('{"errors":[{"code":"unauthorized"}]}')
+    }
+
+    var observed = []
+    var client = getClient({
+      observer: function(result) {
+        observed.push(result.statusCode)
+      },
+    }).use(function(ctx, next) {
+      ctx.headers['X-Request-Id'] = 'abc'
+      return next()
+    })
+
+    client
+      .stream(query.Ref(query.Collection('a'), '1'))
+      .on('error', function() {
+        expect(requests[0].headers['x-request-id']).toEqual('abc')
+        expect(observed).toEqual([401])
+        done()
+      })
+      .start()
+  })
+})
+
+function getClient(options) {
+  return new Client(
+    Object.assign(
+      {
+        domain: 'localhost',
+        scheme: 'http',
+        port: server.address().port,
+        secret: 'secret',
+        keepAlive: false,
+      },
+      options
+    )
+  )
+}
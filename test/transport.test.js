@@ -0,0 +1,104 @@
+'use strict'
+
+var Client = require('../src/Client')
+var errors = require('../src/errors')
+var query = require('../src/query')
+var transport = require('../src/transport')
+var values = require('../src/values')
+
+describe('transport', () => {
+  var ref = new values.Ref('1', new values.Ref('c', values.Native.COLLECTIONS))
+
+  test('answers queries with canned responses', async () => {
+    var mock = new transport.MockTransport()
+      .respond(query.Get(ref), {
+        resource: { ref: ref, data: { name: 'one' } },
+        headers: { 'X-Txn-Time': 42 },
+      })
+      .respond('{"add":[1,1]}', { resource: 2 })
+      .respond(data => 'create' in data, {
+        errors: [{ code: 'validation failed', description: 'Invalid' }],
+      })
+      .respond(
+        data => 'delete' in data,
+        () => ({
+          status: 404,
+          errors: [{ code: 'instance not found', description: 'Missing' }],
+        })
+      )
+    var client = new Client({ secret: 'secret', transport: mock })
+
+    expect(await client.query(query.Get(ref))).toEqual({
+      ref: ref,
+      data: { name: 'one' },
+    })
+    expect(await client.query(query.Add(1, 1))).toEqual(2)
+    await expect(
+      client.query(query.Create(query.Collection('c')))
+    ).rejects.toBeInstanceOf(errors.BadRequest)
+    await expect(client.query(query.Delete(ref))).rejects.toBeInstanceOf(
+      errors.NotFound
+    )
+
+    expect(client.getLastTxnTime()).toEqual(42)
+    expect(mock.calls.length).toEqual(4)
+    expect(mock.calls[0]).toMatchObject({
+      method: 'POST',
+      path: '',
+      data: { get: ref },
+    })
+    expect(mock.calls[0].headers.Authorization).toEqual(
+      'Basic ' + Buffer.from('secret:').toString('base64')
+    )
+  })
+
+  test('rejects queries without a matching response', async () => {
+    var mock = new transport.MockTransport()
+    var client = new Client({ secret: 'secret', transport: mock })
+
+    await expect(client.query(query.Add(1, 1))).rejects.toThrow(
+      'No mock response for POST {"add":[1,1]}'
+    )
+    expect(mock.calls.length).toEqual(1)
+  })
+
+  test('sends requests with fetch by default', async () => {
+    var fetch = jest.fn(() =>
+      Promise.resolve({
+        status: 200,
+        headers: new Map(),
+        text: () => Promise.resolve('{ "resource": "Scope all is OK" }'),
+      })
+    )
+    var client = new Client({ secret: 'secret', fetch: fetch })
+
+    expect(await client.ping('all')).toEqual('Scope all is OK')
+    expect(fetch.mock.calls[0][0]).toEqual(
+      'https://db.fauna.com/ping?scope=all'
+    )
+    expect(fetch.mock.calls[0][1].method).toEqual('GET')
+  })
+
+  test('passes the timeout to fetch without AbortController', async () => {
+    var fetch = jest.fn(() =>
+      Promise.resolve({
+        status: 200,
+        headers: new Map(),
+        text: () => Promise.resolve('{ "resource": 2 }'),
+      })
+    )
+    var client = new Client({ secret: 'secret', fetch: fetch, timeout: 5 })
+    var AbortController = global.AbortController
+
+    delete global.AbortController
+    try {
+      await client.query(query.Add(1, 1))
+      await client.query(query.Add(1, 1), { timeout: 2 })
+    } finally {
+      global.AbortController = AbortController
+    }
+
+    expect(fetch.mock.calls[0][1].timeout).toEqual(5000)
+    expect(fetch.mock.calls[1][1].timeout).toEqual(2000)
+  })
+})
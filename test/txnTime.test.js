@@ -0,0 +1,91 @@
+'use strict'
+
+var mock = require('./mock')
+var query = require('../src/query')
+var txnTime = require('../src/txnTime')
+
+describe('txnTime', () => {
+  test('shares the last seen txn time between clients', async () => {
+    var store = new txnTime.MemoryStore()
+    var fetch = mockFetch([100, null])
+    var writer = createClient(fetch, store)
+    var reader = createClient(fetch, store)
+
+    await writer.query(query.Add(1, 1))
+    await reader.query(query.Add(1, 1))
+
+    expect(store.get()).toEqual(100)
+    expect(lastSeenHeaders(fetch)).toEqual([undefined, 100])
+    expect(reader.getLastTxnTime()).toEqual(100)
+  })
+
+  test('supports async stores', async () => {
+    var stored = 50
+    var store = {
+      get: () => Promise.resolve(stored),
+      set: time =>
+        new Promise(resolve =>
+          setTimeout(() => {
+            stored = time
+            resolve()
+          }, 5)
+        ),
+    }
+    var fetch = mockFetch([80, 90])
+    var client = createClient(fetch, store)
+
+    await client.query(query.Add(1, 1))
+    expect(stored).toEqual(80)
+
+    stored = 85
+    await client.query(query.Add(1, 1))
+
+    expect(lastSeenHeaders(fetch)).toEqual([50, 85])
+    expect(stored).toEqual(90)
+  })
+
+  test('keeps the last seen txn time in a session', () => {
+    var session = {}
+    var store = new txnTime.SessionStore(session)
+
+    expect(store.get()).toBeNull()
+    store.set(10)
+    store.set(5)
+    expect(session).toEqual({ faunaLastTxnTime: 10 })
+  })
+
+  test('keeps the last seen txn time in a cookie', () => {
+    var document = { cookie: 'other=1' }
+    var store = new txnTime.CookieStore({ name: 'txn', document: document })
+
+    expect(store.get()).toBeNull()
+    store.set(10)
+    expect(document.cookie).toEqual('txn=10; path=/; SameSite=Lax')
+
+    document.cookie = 'other=1; txn=12'
+    store.set(11)
+    expect(store.get()).toEqual(12)
+  })
+})
+
+function createClient(fetch, store) {
+  return mock.getClient({ fetch: fetch, txnTimeStore: store })
+}
+
+function mockFetch(txnTimes) {
+  var times = txnTimes.slice()
+
+  return jest.fn(() => {
+    var time = times.shift()
+
+    return mock.mockResponse(
+      200,
+      '{ "resource": 2 }',
+      time == null ? [] : [['x-txn-time', String(time)]]
+    )
+  })
+}
+
+function lastSeenHeaders(fetch) {
+  return fetch.mock.calls.map(call => call[1].headers['X-Last-Seen-Txn'])
+}
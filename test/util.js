@@ -3,6 +3,7 @@
 require('dotenv').config()
 
 var Client = require('../src/Client')
+var mock = require('./mock')
 var Expr = require('../src/Expr')
 var values = require('../src/values')
 var query = require('../src/query')
@@ -57,22 +58,6 @@ function getClient(opts) {
   return new Client(objectAssign({ secret: clientSecret }, getCfg(), opts))
 }
 
-function assertRejected(promise, errorType) {
-  var succeeded = false
-
-  return promise.then(
-    function() {
-      succeeded = true
-      expect(!succeeded).toBeTruthy()
-    },
-    function(error) {
-      if (!(error instanceof errorType)) {
-        throw error
-      }
-    }
-  )
-}
-
 // Set in before hook, so won't be null during tests
 var _client = null
 var clientSecret = null
@@ -145,7 +130,8 @@ afterAll(() => {
 module.exports = {
   getCfg: getCfg,
   getClient: getClient,
-  assertRejected: assertRejected,
+  assertRejected: mock.assertRejected,
+  abortController: mock.abortController,
   client: client,
   clientSecret: clientSecret,
   rootClient: rootClient,
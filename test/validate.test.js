@@ -0,0 +1,100 @@
+'use strict'
+
+var query = require('../src/query')
+
+var Var = query.Var
+
+describe('validate', () => {
+  test('reports unbound variables and shadowed bindings', () => {
+    expect(
+      query.validate(
+        query.Let(
+          { x: 1 },
+          query.Map([1, 2], query.Lambda('x', query.Add(Var('x'), Var('y'))))
+        )
+      )
+    ).toEqual([
+      {
+        severity: 'warning',
+        path: ['in', 'map', 'lambda'],
+        message: 'Binding x shadows another',
+      },
+      {
+        severity: 'error',
+        path: ['in', 'map', 'expr', 'add', 1],
+        message: 'Unbound variable y',
+      },
+    ])
+    expect(
+      query.validate(
+        query.Let([{ a: 1 }, { b: Var('a') }], query.Lambda('_', Var('b')))
+      )
+    ).toEqual([])
+  })
+
+  test('checks the parameters of lambdas', () => {
+    expect(
+      query.validate(query.Reduce(query.Lambda(['acc'], Var('acc')), 0, [1, 2]))
+    ).toEqual([
+      {
+        severity: 'error',
+        path: ['reduce'],
+        message: 'The lambda of Reduce takes 2 parameters, not 1',
+      },
+    ])
+    expect(
+      query.validate(query.Reduce(query.Lambda('acc', Var('acc')), 0, [1, 2]))
+    ).toEqual([
+      {
+        severity: 'error',
+        path: ['reduce'],
+        message: 'The lambda of Reduce takes 2 parameters, not 1',
+      },
+    ])
+    expect(
+      query.validate(
+        query.Filter(
+          [[1, 'a'], 2, Var('pair')],
+          query.Lambda(['n', 'name'], query.Equals(Var('n'), 1))
+        )
+      )
+    ).toEqual([
+      {
+        severity: 'error',
+        path: ['collection', 1],
+        message:
+          'The lambda of Filter takes 2 parameters, but the element is not an array of 2',
+      },
+      {
+        severity: 'error',
+        path: ['collection', 2],
+        message: 'Unbound variable pair',
+      },
+    ])
+  })
+
+  test('reports unknown options and deprecated functions', () => {
+    expect(
+      query.validate([
+        query.Paginate(query.Documents(query.Collection('c')), { szie: 10 }),
+        query.Paginate(query.Documents(query.Collection('c')), {
+          cursor: { after: 10 },
+        }),
+        query.CreateIndex({ name: 'i', sources: query.Collection('c') }),
+        query.Get(query.Class('c')),
+      ])
+    ).toEqual([
+      { severity: 'error', path: [0, 'szie'], message: 'Unknown option szie' },
+      {
+        severity: 'error',
+        path: [2, 'create_index', 'object', 'sources'],
+        message: 'Unknown option sources',
+      },
+      {
+        severity: 'warning',
+        path: [3, 'get', 'class'],
+        message: 'Class is deprecated, use Collection instead',
+      },
+    ])
+  })
+})
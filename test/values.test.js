@@ -437,4 +437,200 @@ describe('Values', () => {
       'Query(Lambda("_", "foo"))'
     )
   })
+
+  test('pretty print FQL', () => {
+    var expr = q.Let(
+      [
+        { user: q.Get(q.Ref(q.Collection('users'), '1')) },
+        { posts: q.Paginate(q.Match(q.Index('posts'), q.Var('user'))) },
+      ],
+      q.Map(
+        q.Var('posts'),
+        q.Lambda('post', q.If(q.Exists(q.Var('post')), q.Var('post'), null))
+      )
+    )
+
+    expect(Expr.toString(expr, { pretty: true, maxWidth: 50 })).toEqual(
+      [
+        'Let(',
+        '  [',
+        '    {user:  Get(Ref(Collection("users"), "1"))},',
+        '    {posts: Paginate(',
+        '      Match(Index("posts"), Var("user"))',
+        '    )}',
+        '  ],',
+        '  Map(',
+        '    Var("posts"),',
+        '    Lambda("post",',
+        '      If(Exists(Var("post")), Var("post"), null)',
+        '    )',
+        '  )',
+        ')',
+      ].join('\n')
+    )
+    expect(Expr.toString(expr, { pretty: true, indent: 4 })).toEqual(
+      [
+        'Let(',
+        '    [',
+        '        {user:  Get(Ref(Collection("users"), "1"))},',
+        '        {posts: Paginate(Match(Index("posts"), Var("user")))}',
+        '    ],',
+        '    Map(',
+        '        Var("posts"),',
+        '        Lambda("post", If(Exists(Var("post")), Var("post"), null))',
+        '    )',
+        ')',
+      ].join('\n')
+    )
+    expect(Expr.toString(q.Add(1, 2), { pretty: true })).toEqual('Add(1, 2)')
+    expect(
+      Expr.parse(Expr.toString(expr, { pretty: true, maxWidth: 20 }))
+    ).toEqual(expr)
+    expect(function() {
+      Expr.toString(expr, { width: 20 })
+    }).toThrow('No such option width')
+  })
+
+  test('parse', () => {
+    expect(Expr.parse('Add(1, 2.5, -3e2)')).toEqual(q.Add(1, 2.5, -300))
+    expect(
+      Expr.parse(
+        'Map(Paginate(Match(Index("frogs")), {size: 10}), Lambda("x", Get(Var("x"))))'
+      )
+    ).toEqual(
+      q.Map(
+        q.Paginate(q.Match(q.Index('frogs')), { size: 10 }),
+        q.Lambda('x', q.Get(q.Var('x')))
+      )
+    )
+    expect(
+      Expr.parse('Let([{x: 1}, {y: Var("x")}], [Var("x"), Var("y")])')
+    ).toEqual(q.Let([{ x: 1 }, { y: q.Var('x') }], [q.Var('x'), q.Var('y')]))
+    expect(
+      Expr.parse(
+        '// The JavaScript spelling works too.\n' +
+          "q.Merge({'a b': 'it\\'s', c: [true, false, null,],}, /* with */ {})"
+      )
+    ).toEqual(q.Merge({ 'a b': "it's", c: [true, false, null] }, {}))
+    expect(Expr.parse('NGram("what", 2, 3)')).toEqual(q.NGram('what', 2, 3))
+    expect(Expr.parse('"frogs"')).toEqual('frogs')
+  })
+
+  test('parse round trips', () => {
+    var assertRoundTrip = function(expr) {
+      expect(Expr.parse(Expr.toString(expr))).toEqual(expr)
+    }
+
+    assertRoundTrip(q.Ref(q.Collection('frogs'), '123'))
+    assertRoundTrip(q.Ref('collections/frogs/123'))
+    assertRoundTrip(q.wrap({ 0: 'zero', 'two words': [1.5e-7] }))
+    assertRoundTrip(q.Paginate(q.Documents(q.Collection('frogs')), { size: 5 }))
+    assertRoundTrip(q.Let({ x: 1 }, q.Var('x')))
+    assertRoundTrip(q.Filter([1, 2], q.Lambda(['a'], q.GT(q.Var('a'), 1))))
+    assertRoundTrip(q.Casefold('Frog'))
+    assertRoundTrip(q.Equals(q.Now(), q.Time('now')))
+    assertRoundTrip(q.Select(['data', 'name'], q.Get(q.Identity()), 'none'))
+  })
+
+  test('parse errors', () => {
+    var assertParseError = function(fql, message, line, column) {
+      var error
+
+      try {
+        Expr.parse(fql)
+      } catch (e) {
+        error = e
+      }
+
+      expect(error).toBeInstanceOf(errors.ParseError)
+      expect(error.message).toEqual(
+        message + ' at line ' + line + ', column ' + column
+      )
+      expect(error.line).toEqual(line)
+      expect(error.column).toEqual(column)
+    }
+
+    assertParseError('Add(1,\n  2 3)', 'Expected ")", got 3', 2, 5)
+    assertParseError('Frog(1)', 'Unknown function Frog', 1, 1)
+    assertParseError(
+      'Get(If(true))',
+      'If function requires 3 argument(s) but 1 were given',
+      1,
+      5
+    )
+    assertParseError('{x: "frog', 'Unterminated string', 1, 5)
+    assertParseError('[1, 2] 3', 'Unexpected 3', 1, 8)
+  })
+
+  test('walk', () => {
+    var visited = []
+
+    Expr.walk(
+      q.Let(
+        { doc: q.Get(ref) },
+        q.Map(
+          [1],
+          q.Lambda('x', { x: q.Var('x'), ref: q.Select('ref', q.Var('doc')) })
+        )
+      ),
+      function(node, path) {
+        visited.push([node.type, node.name || '', path])
+        // Skips the object of the lambda.
+        return node.type !== 'object'
+      }
+    )
+
+    expect(visited).toEqual([
+      ['let', '', []],
+      ['call', 'get', ['let', 0, 'doc']],
+      ['value', '', ['let', 0, 'doc', 'get']],
+      ['call', 'map', ['in']],
+      ['lambda', '', ['in', 'map']],
+      ['object', '', ['in', 'map', 'expr']],
+      ['array', '', ['in', 'collection']],
+      ['literal', '', ['in', 'collection', 0]],
+    ])
+  })
+
+  test('transform', () => {
+    var expr = q.Let(
+      [{ frogs: q.Paginate(q.Documents(q.Collection('frogs')), { size: 2 }) }],
+      q.Map(q.Var('frogs'), q.Lambda(['ref'], [q.Var('ref'), 'green']))
+    )
+    var printed = Expr.toString(expr)
+
+    var transformed = Expr.transform(expr, function(node) {
+      if (node.type === 'call' && node.name === 'collection') {
+        return q.Collection(node.args.collection, q.Database('tenant'))
+      }
+
+      if (node.type === 'literal' && node.value === 'green') {
+        return { color: node.value }
+      }
+    })
+
+    expect(transformed).toEqual(
+      q.Let(
+        [
+          {
+            frogs: q.Paginate(
+              q.Documents(q.Collection('frogs', q.Database('tenant'))),
+              { size: 2 }
+            ),
+          },
+        ],
+        q.Map(
+          q.Var('frogs'),
+          q.Lambda(['ref'], [q.Var('ref'), { color: 'green' }])
+        )
+      )
+    )
+    expect(Expr.toString(expr)).toEqual(printed)
+    expect(Expr.transform(expr, function() {})).toBe(expr)
+    expect(
+      Expr.transform([1, 2], function() {
+        return null
+      })
+    ).toBeNull()
+  })
 })